@@ -3,348 +3,6588 @@ import WebGL from "three/addons/capabilities/WebGL.js";
 import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
 import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
 import { FontLoader } from "three/addons/loaders/FontLoader.js";
-import { TextGeometry } from "three/addons/geometries/TextGeometry.js";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { SVGLoader } from "three/addons/loaders/SVGLoader.js";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
+import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js";
+import { SSAOPass } from "three/addons/postprocessing/SSAOPass.js";
+import { OutlinePass } from "three/addons/postprocessing/OutlinePass.js";
+import { ShaderPass } from "three/addons/postprocessing/ShaderPass.js";
+import { SMAAPass } from "three/addons/postprocessing/SMAAPass.js";
+import { FilmPass } from "three/addons/postprocessing/FilmPass.js";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+import { FXAAShader } from "three/addons/shaders/FXAAShader.js";
+import { VignetteShader } from "three/addons/shaders/VignetteShader.js";
+import * as SkeletonUtils from "three/addons/utils/SkeletonUtils.js";
+
+// Keep the raw files of every loader in memory.
+THREE.Cache.enabled = true;
 
 /**
- * Start initialisation processes.
- *
- * @see {@link https://threejs.org/docs/#api/en/loaders/Cache|Cache}
- * @see {@link https://threejs.org/docs/index.html#api/en/loaders/managers/DefaultLoadingManager|DefaultLoadingManager}
+ * Error thrown when a function receives invalid options.
  */
-(function () {
-  // Enable cache.
-  THREE.Cache.enabled = true;
+export class OptionsError extends Error {
+  /**
+   * @param {String} message Error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "OptionsError";
+  }
+}
 
-  // Create a loading manager container element.
-  const element = document.createElement("div");
-  element.style.position = "fixed";
-  element.style.color = "white";
-  element.style.backgroundColor = "black";
-  element.style.top = 0;
-  element.style.left = 0;
-  element.style.width = "100%";
-  element.style.textAlign = "center";
-  element.style.display = "none";
-  element.style.padding = "0.25em";
-  element.style.fontFamily = "sans-serif";
-  element.style.fontSize = "0.75em";
-  element.classList.add("loading-manager");
-  document.getElementsByTagName("body")[0].appendChild(element);
+/**
+ * Error thrown when an asset fails to load. The failing asset URL is kept in
+ * the url property.
+ */
+export class LoadError extends Error {
+  /**
+   * @param {String} message Error message.
+   * @param {Object} options
+   * @param {String} options.url Asset URL.
+   * @param {*} options.cause Original error.
+   */
+  constructor(message, { url = undefined, cause = undefined } = {}) {
+    super(message, { cause });
+    this.name = "LoadError";
+    this.url = url;
+  }
+}
 
-  // Set up default loading manager object.
-  THREE.DefaultLoadingManager.onStart = function (url, loaded, total) {
-    element.innerHTML = "Starting: " + url + " [" + loaded + "/" + total + "]";
-    element.style.display = "block";
-  };
-  THREE.DefaultLoadingManager.onLoad = function () {
-    element.innerHTML = "";
-    element.style.display = "none";
-  };
-  THREE.DefaultLoadingManager.onProgress = function (url, loaded, total) {
-    element.innerHTML = "Loading: " + url + " [" + loaded + "/" + total + "]";
-    element.style.display = "block";
-  };
-  THREE.DefaultLoadingManager.onError = function (url) {
-    element.innerHTML = "Error: " + url;
-    element.style.display = "block";
-  };
-})();
+/**
+ * Error thrown when an asset cannot be fetched (HTTP error, network failure or
+ * timeout).
+ */
+export class NetworkError extends LoadError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NetworkError";
+  }
+}
 
 /**
- * Check for WebGL2 support on the current browser.
- *
- * @returns {Boolean} Return true if the browser supports WebGL2; return false otherwise.
- *
- * @see {@link https://threejs.org/docs/#manual/en/introduction/WebGL-compatibility-check|WebGL compatibility check}
+ * Error thrown when a fetched asset cannot be parsed.
  */
-export function isSupported() {
-  if (!WebGL.isWebGL2Available()) {
-    const element = document.createElement("div");
-    element.style.position = "fixed";
-    element.style.bottom = 0;
-    element.style.right = 0;
-    element.classList.add("webgl2-unsupported");
-    element.appendChild(WebGL.getWebGL2ErrorMessage());
-    document.getElementsByTagName("body")[0].appendChild(element);
-    return false;
+export class ParseError extends LoadError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ParseError";
+  }
+}
+
+/**
+ * Error thrown when a rendered frame cannot be captured (the canvas cannot be
+ * encoded as an image).
+ */
+export class CaptureError extends Error {
+  /**
+   * @param {String} message Error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "CaptureError";
   }
-  return true;
 }
 
 /**
- * Set the scene background.
+ * A callback definition to run an asset load that settles the returned
+ * promise.
  *
- * @param {Object} options
- * @param {Number} options.color Default background color regardless of color scheme.
- * @param {Number} options.dark Background color for the dark color scheme.
- * @param {Number} options.light Background color for the light color scheme.
- * @param {String} options.image Background image URL in JPEG or PNG format.
- * @param {String} options.hdr Background image URL in HDR format.
- * @param {String} options.exr Background image URL in EXR format.
- * @param {THREE.Scene} options.scene Scene object.
+ * @callback loadExecutorCallback
+ * @param {Function} resolve Resolve with the loaded asset.
+ * @param {Function} reject Reject with a load error.
+ */
+
+/**
+ * Run an asset load with an optional timeout and abort signal. The load itself
+ * is not cancelled; its late result is ignored.
  *
- * @see {@link https://threejs.org/docs/#api/en/scenes/Scene|Scene}
- * @see {@link https://threejs.org/docs/#api/en/loaders/TextureLoader|TextureLoader}
+ * @param {String} url Asset URL.
+ * @param {Object} options
+ * @param {Number} options.timeout Timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal.
+ * @param {loadExecutorCallback} executor Asset load.
+ * @returns {Promise} Loaded asset.
  */
-export function setBackground({
-  color = 0x666666,
-  dark = undefined,
-  light = undefined,
-  image = undefined,
-  hdr = undefined,
-  exr = undefined,
-  scene = undefined,
-}) {
-  if (scene instanceof THREE.Scene) {
-    if (typeof dark !== "undefined" && typeof light !== "undefined") {
-      if (window.matchMedia("(prefers-color-scheme: dark)").matches) {
-        scene.background = new THREE.Color(dark);
-      } else {
-        scene.background = new THREE.Color(light);
+function loadWithin(url, { timeout = 0, signal = undefined }, executor) {
+  return new Promise(function (resolve, reject) {
+    if (typeof signal !== "undefined" && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    let timer;
+    const onAbort = function () {
+      settle(reject, signal.reason);
+    };
+    const settle = function (callback, value) {
+      clearTimeout(timer);
+      if (typeof signal !== "undefined") {
+        signal.removeEventListener("abort", onAbort);
       }
-      window
-        .matchMedia("(prefers-color-scheme: dark)")
-        .addEventListener("change", function (event) {
-          if (event.matches) {
-            scene.background = new THREE.Color(dark);
-          } else {
-            scene.background = new THREE.Color(light);
-          }
-        });
-    } else if (typeof image !== "undefined") {
-      new THREE.TextureLoader().load(image, function (texture) {
-        texture.mapping = THREE.EquirectangularReflectionMapping;
-        texture.colorSpace = THREE.SRGBColorSpace;
-        scene.background = texture;
-      });
-    } else if (typeof hdr !== "undefined") {
-      new RGBELoader().load(hdr, function (texture) {
-        texture.mapping = THREE.EquirectangularReflectionMapping;
-        scene.background = texture;
-        scene.environment = texture;
-      });
-    } else if (typeof exr !== "undefined") {
-      new EXRLoader().load(exr, function (texture) {
-        texture.mapping = THREE.EquirectangularReflectionMapping;
-        scene.background = texture;
-        scene.environment = texture;
-      });
-    } else {
-      scene.background = new THREE.Color(color);
+      callback(value);
+    };
+    if (timeout > 0) {
+      timer = setTimeout(function () {
+        settle(
+          reject,
+          new NetworkError(
+            "Timed out after " + timeout + " ms loading '" + url + "'.",
+            { url }
+          )
+        );
+      }, timeout);
     }
-  } else {
-    console.error("Invalid options for 'setBackground' function.");
-  }
+    if (typeof signal !== "undefined") {
+      signal.addEventListener("abort", onAbort);
+    }
+    executor(
+      function (value) {
+        settle(resolve, value);
+      },
+      function (error) {
+        settle(reject, error);
+      }
+    );
+  });
 }
 
 /**
- * A callback definition to set the canvas style width and height on screen
- * resize and orientation change (responsive).
+ * Load and parse a JSON file.
  *
- * @callback canvasResponsiveCallback
- * @param {HTMLElement} canvas Canvas element to resize.
+ * @param {String} url JSON file URL.
+ * @param {Object} options
+ * @param {Number} options.timeout Timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal.
+ * @param {THREE.LoadingManager} options.manager Loading manager.
+ * @returns {Promise<Object>} Parsed JSON data.
+ */
+function loadJson(url, options) {
+  return loadWithin(url, options, function (resolve, reject) {
+    new THREE.FileLoader(options.manager).load(
+      url,
+      function (text) {
+        try {
+          resolve(JSON.parse(text));
+        } catch (error) {
+          reject(
+            new ParseError("Failed to parse JSON file '" + url + "'.", {
+              url,
+              cause: error,
+            })
+          );
+        }
+      },
+      undefined,
+      function (error) {
+        reject(
+          new NetworkError("Failed to load '" + url + "'.", {
+            url,
+            cause: error,
+          })
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Load and parse a JSON typeface font file.
  *
- * @example
- * function (canvas) {
- *   // Set aspect ratio 4:1
- *   canvas.style.width = "100%";
- *   canvas.style.height = canvas.clientWidth / 4 + "px";
- * }
+ * @async
+ * @param {String} url Font URL.
+ * @param {Object} options
+ * @param {Number} options.timeout Timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal.
+ * @param {THREE.LoadingManager} options.manager Loading manager.
+ * @returns {Promise<Font>} Font object.
  */
+async function loadFont(url, options) {
+  const data = await loadJson(url, options);
+  try {
+    return new FontLoader().parse(data);
+  } catch (error) {
+    throw new ParseError("Failed to parse font '" + url + "'.", {
+      url,
+      cause: error,
+    });
+  }
+}
 
 /**
- * Set canvas element to be responsive.
+ * Load and parse an SVG file.
  *
+ * @param {String} url SVG file URL.
  * @param {Object} options
- * @param {HTMLElement} options.canvas Canvas element.
- * @param {THREE.WebGLRenderer} options.renderer Renderer object.
- * @param {(THREE.PerspectiveCamera|THREE.OrthographicCamera)} options.camera Camera object.
- * @param {canvasResponsiveCallback} options.responsive Canvas responsive callback.
+ * @param {Number} options.timeout Timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal.
+ * @param {THREE.LoadingManager} options.manager Loading manager.
+ * @returns {Promise<Object>} SVG data (paths and xml) as parsed by the SVGLoader.
+ */
+function loadSvg(url, options) {
+  return loadWithin(url, options, function (resolve, reject) {
+    new THREE.FileLoader(options.manager).load(
+      url,
+      function (text) {
+        try {
+          resolve(new SVGLoader().parse(text));
+        } catch (error) {
+          reject(
+            new ParseError("Failed to parse SVG file '" + url + "'.", {
+              url,
+              cause: error,
+            })
+          );
+        }
+      },
+      undefined,
+      function (error) {
+        reject(
+          new NetworkError("Failed to load '" + url + "'.", {
+            url,
+            cause: error,
+          })
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Load and parse a GLTF model file, including its external resources.
  *
- * @see {@link https://threejs.org/manual/#en/responsive|Responsive Design}
+ * @param {String} url GLTF model URL.
+ * @param {Object} options
+ * @param {Number} options.timeout Timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal.
+ * @param {THREE.LoadingManager} options.manager Loading manager.
+ * @returns {Promise<Object>} GLTF object.
  */
-export function setResponsive({
-  canvas = undefined,
-  renderer = undefined,
-  camera = undefined,
-  responsive = function (canvas) {
-    canvas.style.width = window.innerWidth + "px";
-    canvas.style.height = window.innerHeight + "px";
-  },
-}) {
-  if (
-    canvas instanceof HTMLElement &&
-    renderer instanceof THREE.WebGLRenderer &&
-    (camera instanceof THREE.PerspectiveCamera ||
-      camera instanceof THREE.OrthographicCamera) &&
-    typeof responsive === "function"
-  ) {
-    const resizeChange = function () {
-      responsive(canvas);
-      canvas.width = canvas.clientWidth;
-      canvas.height = canvas.clientHeight;
-      renderer.setPixelRatio(window.devicePixelRatio);
-      renderer.setSize(canvas.clientWidth, canvas.clientHeight);
-      camera.aspect = canvas.clientWidth / canvas.clientHeight;
-      camera.updateProjectionMatrix();
+function loadGltf(url, options) {
+  const { manager = THREE.DefaultLoadingManager } = options;
+  return loadWithin(url, options, function (resolve, reject) {
+    manager.itemStart(url);
+    const fail = function (error) {
+      manager.itemError(url);
+      manager.itemEnd(url);
+      reject(error);
     };
-    window.addEventListener("resize", resizeChange);
-    screen.orientation.addEventListener("change", resizeChange);
-  } else {
-    console.error("Invalid options for 'setResponsive' function.");
-  }
+    // The model counts once in the manager, from the file request to the end
+    // of the parsing: fetch the file through a private manager.
+    new THREE.FileLoader(new THREE.LoadingManager())
+      .setResponseType("arraybuffer")
+      .load(
+        manager.resolveURL(url),
+        function (data) {
+          try {
+            new GLTFLoader(manager).parse(
+              data,
+              THREE.LoaderUtils.extractUrlBase(url),
+              function (gltf) {
+                manager.itemEnd(url);
+                resolve(gltf);
+              },
+              function (error) {
+                fail(
+                  new ParseError("Failed to parse GLTF model '" + url + "'.", {
+                    url,
+                    cause: error,
+                  })
+                );
+              }
+            );
+          } catch (error) {
+            fail(
+              new ParseError("Failed to parse GLTF model '" + url + "'.", {
+                url,
+                cause: error,
+              })
+            );
+          }
+        },
+        undefined,
+        function (error) {
+          fail(
+            new NetworkError("Failed to load GLTF model '" + url + "'.", {
+              url,
+              cause: error,
+            })
+          );
+        }
+      );
+  });
 }
 
 /**
- * A callback definition to animate an object/element in the scene.
+ * Load an environment or equirectangular background texture. HDR and EXR
+ * files are picked by their file extension; any other URL is loaded as a JPEG
+ * or PNG image.
  *
- * @callback animationCallback
- * @param {*} element Object/element to animate.
- * @param {Number} delta Delta time.
+ * @param {String} url Texture URL.
+ * @param {Object} options
+ * @param {Number} options.timeout Timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal.
+ * @param {THREE.LoadingManager} options.manager Loading manager.
+ * @returns {Promise<THREE.Texture>} Texture object.
+ */
+function loadEnvironment(url, options) {
+  const extension = url.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return loadWithin(url, options, function (resolve, reject) {
+    const loader =
+      extension === "hdr"
+        ? new RGBELoader(options.manager)
+        : extension === "exr"
+        ? new EXRLoader(options.manager)
+        : new THREE.TextureLoader(options.manager);
+    const onError = function (error) {
+      // HTTP errors carry the response; fetch failures are TypeErrors.
+      const ErrorClass =
+        loader instanceof THREE.TextureLoader ||
+        error instanceof TypeError ||
+        (error !== null && typeof error === "object" && "response" in error)
+          ? NetworkError
+          : ParseError;
+      reject(
+        new ErrorClass("Failed to load environment '" + url + "'.", {
+          url,
+          cause: error,
+        })
+      );
+    };
+    if (!(loader instanceof THREE.TextureLoader)) {
+      // The data texture loader keeps reading the parse result after
+      // reporting a parse error: report it here and return empty data.
+      const parse = loader.parse;
+      loader.parse = function (buffer) {
+        try {
+          return parse.call(loader, buffer);
+        } catch (error) {
+          onError(error);
+          return {};
+        }
+      };
+    }
+    loader.load(
+      url,
+      function (texture) {
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        if (loader instanceof THREE.TextureLoader) {
+          texture.colorSpace = THREE.SRGBColorSpace;
+        }
+        resolve(texture);
+      },
+      undefined,
+      onError
+    );
+  });
+}
+
+/**
+ * Retry callbacks of the failed loads, keyed by asset URL. Run by the loading
+ * overlay retry button.
  *
- * @example
- * function (element, delta) {
- *   // Rotate in Y axis.
- *   element.rotation.y += 0.05;
- * }
+ * @type {Map<String, Set<Function>>}
  */
+const retries = new Map();
 
 /**
- * A list of registered objects. A registered object contains elements to
- * animate and their animation callback.
+ * Register a callback that re-issues a failed load.
  *
- * @type {{element: *, animate: animationCallback}[]}
+ * @param {String} url Failed asset URL.
+ * @param {Function} callback Retry callback, optionally returning a promise.
  */
-export const animationList = [];
+function addRetry(url, callback) {
+  if (!retries.has(url)) {
+    retries.set(url, new Set());
+  }
+  retries.get(url).add(callback);
+}
 
 /**
- * Render a text.
+ * Re-issue every failed load of an asset URL.
  *
- * @async
- * @param {Object} options
- * @param {String} options.text Text to render.
- * @param {String} options.font JSON formatted font typeface file URL.
- * @param {Number} options.size Size of text.
- * @param {Number} options.depth Depth of text.
- * @param {Boolean} options.flat If true, disregard depth and render flat 2D text.
- * @param {Number} options.curveSegments Number of points on the curves.
- * @param {Boolean} options.bevelEnabled Turn the font bevel on or off.
- * @param {Number} options.bevelThickness Font bevel thickness.
- * @param {Number} options.bevelSize Font bevel size.
- * @param {Number} options.bevelOffset Font bevel offset distance.
- * @param {Number} options.bevelSegments Number of bevel segments.
- * @param {Number} options.color Color of text.
- * @param {Number} options.scaleX Scale in X coordinate.
- * @param {Number} options.scaleY Scale in Y coordinate.
- * @param {Number} options.scaleZ Scale in Z coordinate.
- * @param {Number} options.posX X coordinate position.
- * @param {Number} options.posY Y coordinate position.
- * @param {Number} options.posZ Z coordinate position.
- * @param {THREE.Scene} options.scene Scene object.
- * @param {animationCallback} options.animate Animation callback.
- * @returns {THREE.Mesh} Text object.
+ * @param {String} url Failed asset URL.
+ * @returns {Promise} Settled once every retry has settled.
+ */
+function retryLoad(url) {
+  const callbacks = Array.from(retries.get(url) || []);
+  retries.delete(url);
+  return Promise.allSettled(
+    callbacks.map(function (callback) {
+      return callback();
+    })
+  );
+}
+
+/**
+ * Load an image into an existing texture (sRGB color space). A failed load
+ * registers a retry that fills the same texture.
  *
- * @see {@link https://threejs.org/docs/#examples/en/loaders/FontLoader|FontLoader}
- * @see {@link https://threejs.org/docs/#api/en/geometries/ShapeGeometry|ShapeGeometry}
- * @see {@link https://threejs.org/docs/#examples/en/geometries/TextGeometry|TextGeometry}
+ * @param {THREE.Texture} texture Texture object to fill.
+ * @param {String} url Image URL.
+ * @param {THREE.LoadingManager} manager Loading manager.
+ * @returns {Promise<THREE.Texture>} Filled texture object.
  */
-export async function renderText({
-  text = "Hello, World!",
-  font = "https://raw.githubusercontent.com/mrdoob/three.js/master/examples/fonts/helvetiker_regular.typeface.json",
-  size = 10,
-  depth = 3,
-  flat = false,
-  curveSegments = 12,
-  bevelEnabled = false,
-  bevelThickness = 1,
-  bevelSize = 1,
-  bevelOffset = 0,
-  bevelSegments = 12,
-  color = 0xffffff,
-  scaleX = 1,
-  scaleY = 1,
-  scaleZ = 1,
-  posX = undefined,
-  posY = 0,
-  posZ = 0,
-  scene = undefined,
-  animate = undefined,
-}) {
-  const loaded = new Promise(function (resolve) {
-    new FontLoader().load(font, async function (loadedFont) {
-      let geometry, material;
-      if (flat === true) {
-        const shapes = loadedFont.generateShapes(text, size);
-        geometry = new THREE.ShapeGeometry(shapes);
-        material = new THREE.MeshBasicMaterial({
-          color,
-          side: THREE.DoubleSide,
-        });
-      } else {
-        geometry = new TextGeometry(text, {
-          font: loadedFont,
-          size,
-          depth,
-          curveSegments,
-          bevelEnabled,
-          bevelThickness,
-          bevelSize,
-          bevelOffset,
-          bevelSegments,
-        });
-        material = [
-          new THREE.MeshPhongMaterial({
-            flatShading: true,
-            color,
-          }),
-          new THREE.MeshPhongMaterial({ color }),
-        ];
-      }
-
-      const mesh = new THREE.Mesh(geometry, material);
-      mesh.scale.set(scaleX, scaleY, scaleZ);
-      geometry.computeBoundingBox();
-      posX =
-        typeof posX === "undefined"
-          ? -0.5 * (geometry.boundingBox.max.x - geometry.boundingBox.min.x)
-          : posX;
-      mesh.position.set(posX, posY, posZ);
-      if (typeof animate === "function") {
-        animationList.push({
-          element: mesh,
-          animate,
+function loadTextureInto(texture, url, manager) {
+  return new Promise(function (resolve, reject) {
+    new THREE.TextureLoader(manager).load(
+      url,
+      function (loaded) {
+        texture.image = loaded.image;
+        texture.needsUpdate = true;
+        resolve(texture);
+      },
+      undefined,
+      function (error) {
+        addRetry(url, function () {
+          return loadTextureInto(texture, url, manager);
         });
+        reject(
+          new NetworkError("Failed to load texture '" + url + "'.", {
+            url,
+            cause: error,
+          })
+        );
       }
-      if (scene instanceof THREE.Scene) {
-        scene.add(mesh);
-      }
-      resolve(mesh);
-    });
+    );
   });
-  return loaded;
 }
 
 /**
- * A callback definition to render a 2D/flat shape procedurally (manually).
+ * Asset types loaded by the asset managers.
  *
- * @callback drawShapeCallback
- * @param {THREE.Shape} shape Shape object.
+ * @type {String[]}
+ */
+const assetTypes = ["texture", "font", "environment", "gltf", "svg"];
+
+/**
+ * Asset URL resolution settings (see the configureAssets function): base
+ * path of the root-relative URLs, fallback URL by asset type (null for
+ * none), and missing file callback (null for none).
  *
- * @example
- * function (shape) {
- *   // Triangle
- *   shape.moveTo(80, 20);
- *   shape.lineTo(40, 80);
- *   shape.lineTo(120, 80);
- *   shape.lineTo(80, 20);
- * }
+ * @type {{basePath: String, fallbacks: Object<String, ?String>, onMissing: ?Function}}
  */
+const assetResolution = {
+  basePath: "",
+  fallbacks: {
+    texture: null,
+    font: "/fonts/helvetiker_regular.json",
+    environment: null,
+    gltf: null,
+    svg: null,
+  },
+  onMissing: null,
+};
 
 /**
- * Render a flat 2D shape.
+ * Asset URLs that could not be fetched.
  *
- * @param {Object} options
+ * @type {Set<String>}
+ */
+const missingAssets = new Set();
+
+/**
+ * Configure the asset URL resolution of the asset managers.
+ *
+ * Root-relative URLs ("/fonts/sono_regular.json") are prefixed with the base
+ * path, so the tinkerspace can be served from a subdirectory. A file that
+ * cannot be fetched (missing, or not cached while offline) is replaced by
+ * the fallback of its asset type, if any: by default, fonts fall back to the
+ * bundled Helvetiker font. Backgrounds fall back to their color (see the
+ * setBackground function). Every missing file is recorded (see the
+ * getMissingAssets function) and passed to the onMissing callback. A file
+ * without fallback rejects its load with a NetworkError.
+ *
+ * @param {Object} options
+ * @param {String} options.basePath Path prepended to the root-relative asset URLs (e.g. "/tinkerspace").
+ * @param {Object<String, ?String>} options.fallbacks Fallback URL by asset type (texture, font, environment, gltf or svg), or null for none.
+ * @param {?Function} options.onMissing Callback called with the missing file URL and the fallback URL loaded instead (null when none), or null for none.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @example
+ * configureAssets({
+ *   basePath: "/tinkerspace",
+ *   fallbacks: { texture: "/textures/missing.png" },
+ *   onMissing: function (url, fallback) {
+ *     console.warn("Missing asset file: " + url);
+ *   },
+ * });
+ */
+export function configureAssets({
+  basePath = assetResolution.basePath,
+  fallbacks = {},
+  onMissing = assetResolution.onMissing,
+} = {}) {
+  if (
+    typeof basePath !== "string" ||
+    !(typeof onMissing === "function" || onMissing === null) ||
+    typeof fallbacks !== "object" ||
+    fallbacks === null ||
+    Object.keys(fallbacks).some(function (type) {
+      return (
+        !assetTypes.includes(type) ||
+        !(typeof fallbacks[type] === "string" || fallbacks[type] === null)
+      );
+    })
+  ) {
+    throw new OptionsError("Invalid options for 'configureAssets' function.");
+  }
+  assetResolution.basePath = basePath.replace(/\/+$/, "");
+  Object.assign(assetResolution.fallbacks, fallbacks);
+  assetResolution.onMissing = onMissing;
+}
+
+/**
+ * Resolve an asset URL: prefix a root-relative URL with the base path (see
+ * the configureAssets function). Relative and absolute URLs are kept.
+ *
+ * @param {String} url Asset URL.
+ * @returns {String} Resolved URL.
+ */
+export function resolveAssetUrl(url) {
+  return /^\/(?!\/)/.test(url) ? assetResolution.basePath + url : url;
+}
+
+/**
+ * Return the asset URLs that could not be fetched so far.
+ *
+ * @returns {String[]} Missing asset URLs.
+ */
+export function getMissingAssets() {
+  return Array.from(missingAssets);
+}
+
+/**
+ * Load an asset by its resolved URL, and load the fallback of its type
+ * instead when the file cannot be fetched. The missing file is recorded and
+ * passed to the onMissing callback. Parse errors are not replaced.
+ *
+ * @param {String} type Asset type.
+ * @param {String} url Asset URL.
+ * @param {Function} load Load function called with a resolved URL, returning a promise.
+ * @returns {Promise} Loaded asset.
+ */
+function loadResolved(type, url, load) {
+  const source = resolveAssetUrl(url);
+  return load(source).catch(function (error) {
+    if (!(error instanceof NetworkError)) {
+      throw error;
+    }
+    missingAssets.add(source);
+    const fallback = assetResolution.fallbacks[type];
+    const fallbackSource =
+      fallback === null || resolveAssetUrl(fallback) === source
+        ? null
+        : resolveAssetUrl(fallback);
+    if (assetResolution.onMissing) {
+      assetResolution.onMissing(source, fallbackSource);
+    }
+    if (fallbackSource === null) {
+      throw error;
+    }
+    return load(fallbackSource);
+  });
+}
+
+/**
+ * Resources (geometries, materials and textures) owned by an asset manager
+ * cache. The disposeObject function leaves them to their asset manager.
+ *
+ * @type {WeakSet<Object>}
+ */
+const sharedResources = new WeakSet();
+
+/**
+ * Mark every resource of an object tree (or a single texture) as shared, or
+ * dispose them when the cache entry is dropped.
+ *
+ * @param {(THREE.Object3D|THREE.Texture)} value Cached asset.
+ * @param {Boolean} share If true, mark as shared; otherwise dispose.
+ */
+function shareResources(value, share) {
+  const visit = function (resource) {
+    if (
+      resource instanceof THREE.BufferGeometry ||
+      resource instanceof THREE.Material ||
+      resource instanceof THREE.Texture
+    ) {
+      if (share) {
+        sharedResources.add(resource);
+      } else {
+        sharedResources.delete(resource);
+        resource.dispose();
+      }
+    }
+    if (resource instanceof THREE.Material) {
+      Object.values(resource).forEach(visit);
+    }
+  };
+  if (value instanceof THREE.Object3D) {
+    value.traverse(function (child) {
+      visit(child.geometry);
+      [].concat(child.material).forEach(visit);
+    });
+  } else {
+    visit(value);
+  }
+}
+
+/**
+ * Asset cache statistics.
+ *
+ * @typedef {Object} AssetStats
+ * @property {Number} entries Number of cached assets (loading or loaded).
+ * @property {Number} loading Number of assets still loading.
+ * @property {Number} references Sum of the asset reference counts.
+ * @property {Number} hits Number of requests served from the cache.
+ * @property {Number} misses Number of requests that started a load.
+ * @property {Object<String, Number>} types Number of cached assets per type (texture, font, environment, gltf, svg).
+ */
+
+/**
+ * An asset manager. Every request increments the asset reference count and
+ * must be balanced by a release call; the asset is disposed and dropped from
+ * the cache when its count reaches zero.
+ *
+ * @typedef {Object} AssetManager
+ * @property {Function} texture Return a shared texture immediately (sRGB color space unless a colorSpace option is given), filled once loaded.
+ * @property {Function} font Resolve with a shared font.
+ * @property {Function} environment Resolve with a shared equirectangular texture (HDR, EXR, JPEG or PNG).
+ * @property {Function} gltf Resolve with a GLTF object whose scene is a clone sharing the cached geometries, materials and textures.
+ * @property {Function} svg Resolve with shared SVG data (paths and xml, read only) as parsed by the SVGLoader.
+ * @property {Function} ready Resolve with an asset returned by the manager once it has loaded (useful for textures).
+ * @property {Function} release Release an asset returned by the manager.
+ * @property {Function} stats Return the cache statistics.
+ * @property {Function} onLoad Register a callback called whenever an asset finishes loading. Return a function unregistering it.
+ */
+
+/**
+ * Create an asset manager that dedupes in-flight and completed loads of
+ * textures, fonts, environments, GLTF models and SVG files, and hands out shared
+ * instances with reference counting. THREE.Cache only keeps the raw files;
+ * the asset manager keeps the parsed objects. URLs resolve, and missing files
+ * fall back, as set by the configureAssets function.
+ *
+ * @param {Object} options
+ * @param {THREE.LoadingManager} options.manager Loading manager of every load.
+ * @returns {AssetManager} Asset manager.
+ *
+ * @example
+ * const font = await assets.font("/fonts/sono_regular.json");
+ * // ... later, when the text is removed:
+ * assets.release(font);
+ */
+export function createAssetManager({
+  manager = THREE.DefaultLoadingManager,
+} = {}) {
+  const entries = new Map();
+  const owners = new WeakMap();
+  const loadListeners = new Set();
+  let hits = 0;
+  let misses = 0;
+
+  const disposeValue = function (entry) {
+    if (entry.type === "texture") {
+      shareResources(entry.texture, false);
+    } else if (entry.type === "gltf") {
+      shareResources(entry.value.scene, false);
+    } else if (entry.type === "environment") {
+      shareResources(entry.value, false);
+    }
+  };
+
+  const acquire = function (type, url, load, variant = "") {
+    const key = type + ":" + variant + ":" + url;
+    let entry = entries.get(key);
+    if (typeof entry === "undefined") {
+      misses++;
+      entry = { key, type, url, refs: 0, loading: true, released: false };
+      entries.set(key, entry);
+      const current = entry;
+      current.promise = load(current).then(
+        function (value) {
+          current.loading = false;
+          current.value = value;
+          if (current.released) {
+            disposeValue(current);
+          } else if (type === "gltf") {
+            shareResources(value.scene, true);
+          } else {
+            shareResources(value, true);
+          }
+          Array.from(loadListeners).forEach(function (listener) {
+            listener(value);
+          });
+          return value;
+        },
+        function (error) {
+          current.loading = false;
+          if (entries.get(key) === current) {
+            entries.delete(key);
+          }
+          throw error;
+        }
+      );
+      // Callers await the entry promise themselves; textures may have none.
+      current.promise.catch(function () {});
+    } else {
+      hits++;
+    }
+    entry.refs++;
+    return entry;
+  };
+
+  const drop = function (entry) {
+    if (entry.refs <= 0) {
+      return;
+    }
+    entry.refs--;
+    if (entry.refs === 0) {
+      entry.released = true;
+      if (entries.get(entry.key) === entry) {
+        entries.delete(entry.key);
+      }
+      // A failed load has nothing to dispose.
+      if (entry.type === "texture" || Object.hasOwn(entry, "value")) {
+        disposeValue(entry);
+      }
+    }
+  };
+
+  const request = async function (type, url, load, options = {}) {
+    const { timeout = 0, signal = undefined } = options;
+    const entry = acquire(type, url, load);
+    try {
+      const value = await loadWithin(
+        url,
+        { timeout, signal },
+        function (resolve, reject) {
+          entry.promise.then(resolve, reject);
+        }
+      );
+      if (type === "gltf") {
+        const clone = { ...value, scene: SkeletonUtils.clone(value.scene) };
+        owners.set(clone.scene, entry);
+        return clone;
+      }
+      owners.set(value, entry);
+      return value;
+    } catch (error) {
+      drop(entry);
+      throw error;
+    }
+  };
+
+  return {
+    texture: function (url, { colorSpace = THREE.SRGBColorSpace } = {}) {
+      const entry = acquire(
+        "texture",
+        url,
+        function (current) {
+          current.texture = new THREE.Texture();
+          current.texture.colorSpace = colorSpace;
+          sharedResources.add(current.texture);
+          return loadResolved("texture", url, function (source) {
+            return loadTextureInto(current.texture, source, manager);
+          });
+        },
+        colorSpace
+      );
+      owners.set(entry.texture, entry);
+      return entry.texture;
+    },
+    font: function (url, options) {
+      return request(
+        "font",
+        url,
+        function () {
+          return loadResolved("font", url, function (source) {
+            return loadFont(source, { manager });
+          });
+        },
+        options
+      );
+    },
+    environment: function (url, options) {
+      return request(
+        "environment",
+        url,
+        function () {
+          return loadResolved("environment", url, function (source) {
+            return loadEnvironment(source, { manager });
+          });
+        },
+        options
+      );
+    },
+    gltf: function (url, options) {
+      return request(
+        "gltf",
+        url,
+        function () {
+          return loadResolved("gltf", url, function (source) {
+            return loadGltf(source, { manager });
+          });
+        },
+        options
+      );
+    },
+    svg: function (url, options) {
+      return request(
+        "svg",
+        url,
+        function () {
+          return loadResolved("svg", url, function (source) {
+            return loadSvg(source, { manager });
+          });
+        },
+        options
+      );
+    },
+    ready: function (asset) {
+      const entry = owners.get(
+        asset !== null &&
+          typeof asset === "object" &&
+          asset.scene instanceof THREE.Object3D
+          ? asset.scene
+          : asset
+      );
+      if (typeof entry === "undefined") {
+        return Promise.resolve(asset);
+      }
+      return entry.promise.then(function () {
+        return asset;
+      });
+    },
+    release: function (asset) {
+      const key =
+        asset !== null &&
+        typeof asset === "object" &&
+        asset.scene instanceof THREE.Object3D
+          ? asset.scene
+          : asset;
+      const entry = owners.get(key);
+      if (typeof entry !== "undefined") {
+        if (entry.type === "gltf") {
+          owners.delete(key);
+        }
+        drop(entry);
+      }
+    },
+    stats: function () {
+      const stats = {
+        entries: entries.size,
+        loading: 0,
+        references: 0,
+        hits,
+        misses,
+        types: {},
+      };
+      entries.forEach(function (entry) {
+        stats.loading += entry.loading ? 1 : 0;
+        stats.references += entry.refs;
+        stats.types[entry.type] = (stats.types[entry.type] || 0) + 1;
+      });
+      return stats;
+    },
+    onLoad: function (callback) {
+      loadListeners.add(callback);
+      return function () {
+        loadListeners.delete(callback);
+      };
+    },
+  };
+}
+
+/**
+ * Default asset manager used by the render functions.
+ *
+ * @type {AssetManager}
+ */
+export const assets = createAssetManager();
+
+/**
+ * Asset managers scoped to their scene (see the createStage "manager" option).
+ *
+ * @type {WeakMap<THREE.Scene, AssetManager>}
+ */
+const sceneAssets = new WeakMap();
+
+/**
+ * Get the asset manager of a scene. Without a scene-scoped asset manager,
+ * return the default asset manager.
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @returns {AssetManager} Asset manager.
+ */
+export function getAssets(scene) {
+  return sceneAssets.get(scene) || assets;
+}
+
+/**
+ * Scope an asset manager to a scene: the render functions called with the
+ * scene load through it. The createStage function does it for its "manager"
+ * option; call it directly to load a scene without a stage (e.g. under Node
+ * with a DOM shim, through a loading manager mapping the URLs to local files).
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @param {AssetManager} assetManager Asset manager (see the createAssetManager function).
+ * @throws {OptionsError} Invalid options.
+ *
+ * @example
+ * const manager = new THREE.LoadingManager();
+ * manager.setURLModifier(function (url) {
+ *   return "http://localhost:8080" + url;
+ * });
+ * setAssets(scene, createAssetManager({ manager }));
+ * await renderGltfModel({ model: "/models/cameraman_walking/scene.gltf", scene });
+ */
+export function setAssets(scene, assetManager) {
+  if (
+    !(scene instanceof THREE.Scene) ||
+    typeof assetManager !== "object" ||
+    assetManager === null ||
+    typeof assetManager.gltf !== "function"
+  ) {
+    throw new OptionsError("Invalid options for 'setAssets' function.");
+  }
+  sceneAssets.set(scene, assetManager);
+}
+
+/**
+ * Guess the asset type of a URL from its file extension.
+ *
+ * @param {String} url Asset URL.
+ * @returns {String} Asset type (texture, font, environment, gltf or svg).
+ */
+function assetType(url) {
+  const extension = url.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  if (extension === "json") {
+    return "font";
+  } else if (extension === "gltf" || extension === "glb") {
+    return "gltf";
+  } else if (extension === "hdr" || extension === "exr") {
+    return "environment";
+  } else if (extension === "svg") {
+    return "svg";
+  }
+  return "texture";
+}
+
+/**
+ * Load a list of assets before starting the render loop. Preloaded assets stay
+ * in the asset manager cache (so the render functions reuse them) until they
+ * are released.
+ *
+ * @async
+ * @param {(String|{type: String, url: String})[]} list Asset URLs, or objects with an asset type (texture, font, environment, gltf or svg) and URL. Without a type, the type is guessed from the file extension.
+ * @param {Object} options
+ * @param {AssetManager} options.assets Asset manager to load with.
+ * @param {Boolean} options.waitForRetry If true, wait for failed assets to be retried (see the createLoadingOverlay retry button) instead of rejecting.
+ * @param {Number} options.timeout Timeout in milliseconds (0 for none) of each asset load.
+ * @param {AbortSignal} options.signal Abort signal.
+ * @returns {Array} Loaded assets, in list order.
+ * @throws {AggregateError} One or more assets failed to load (errors list the load errors).
+ *
+ * @example
+ * createLoadingOverlay({});
+ * await preload(["/fonts/sono_regular.json", "/models/cameraman_walking/scene.gltf"], {
+ *   waitForRetry: true,
+ * });
+ */
+export async function preload(
+  list,
+  {
+    assets: assetManager = assets,
+    waitForRetry = false,
+    timeout = 0,
+    signal = undefined,
+  } = {}
+) {
+  if (!Array.isArray(list)) {
+    throw new OptionsError("Invalid options for 'preload' function.");
+  }
+  const loadItem = function (item) {
+    const url = typeof item === "string" ? item : item.url;
+    const type =
+      typeof item === "string" || typeof item.type === "undefined"
+        ? assetType(url)
+        : item.type;
+    if (type === "texture") {
+      const texture = assetManager.texture(url);
+      return assetManager.ready(texture).catch(function (error) {
+        assetManager.release(texture);
+        throw error;
+      });
+    } else if (["font", "environment", "gltf", "svg"].includes(type)) {
+      return assetManager[type](url, { timeout, signal });
+    }
+    return Promise.reject(
+      new OptionsError("Invalid asset type '" + type + "' for 'preload'.")
+    );
+  };
+  const loadUntilRetried = function (item) {
+    return loadItem(item).catch(function (error) {
+      if (!waitForRetry || !(error instanceof LoadError)) {
+        throw error;
+      }
+      return new Promise(function (resolve, reject) {
+        addRetry(error.url, function () {
+          return loadUntilRetried(item).then(resolve, reject);
+        });
+      });
+    });
+  };
+  const results = await Promise.allSettled(list.map(loadUntilRetried));
+  const errors = results
+    .filter(function (result) {
+      return result.status === "rejected";
+    })
+    .map(function (result) {
+      return result.reason;
+    });
+  if (errors.length > 0) {
+    throw new AggregateError(errors, "Failed to preload assets.");
+  }
+  return results.map(function (result) {
+    return result.value;
+  });
+}
+
+/**
+ * Loading overlay state passed to the template callback.
+ *
+ * @typedef {Object} LoadingState
+ * @property {String} url Last started, loaded or failed asset URL.
+ * @property {Number} loaded Number of loaded items.
+ * @property {Number} total Number of items to load.
+ * @property {Number} percent Loading progress (between 0 and 100).
+ * @property {String[]} failed URLs of the failed assets.
+ * @property {Boolean} loading True while items are loading.
+ */
+
+/**
+ * A callback definition to render the loading overlay content. Elements with
+ * a "data-retry" attribute re-issue the failed loads when clicked.
+ *
+ * @callback loadingTemplateCallback
+ * @param {LoadingState} state Loading state.
+ * @returns {String} Overlay HTML content.
+ */
+
+/**
+ * Escape text for HTML content.
+ *
+ * @param {String} text Text to escape.
+ * @returns {String} Escaped text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, function (character) {
+    return "&#" + character.charCodeAt(0) + ";";
+  });
+}
+
+/**
+ * Default loading overlay template: a progress bar with the current URL, and
+ * the list of failed assets with a retry button.
+ *
+ * @type {loadingTemplateCallback}
+ */
+function loadingOverlayTemplate({
+  url,
+  loaded,
+  total,
+  percent,
+  failed,
+  loading,
+}) {
+  let html = "";
+  if (loading) {
+    html +=
+      '<div class="loading-overlay-progress" style="height: 0.25em; background-color: #444;">' +
+      '<div style="height: 100%; background-color: white; width: ' +
+      percent +
+      '%;"></div></div>' +
+      '<div class="loading-overlay-status">Loading: ' +
+      escapeHtml(url) +
+      " [" +
+      loaded +
+      "/" +
+      total +
+      "] " +
+      Math.round(percent) +
+      "%</div>";
+  }
+  if (failed.length > 0) {
+    html +=
+      '<ul class="loading-overlay-failed" style="list-style: none; margin: 0; padding: 0;">' +
+      failed
+        .map(function (failedUrl) {
+          return "<li>Error: " + escapeHtml(failedUrl) + "</li>";
+        })
+        .join("") +
+      '</ul><button type="button" data-retry>Retry</button>';
+  }
+  return html;
+}
+
+/**
+ * A loading overlay handle returned by the createLoadingOverlay function.
+ *
+ * @typedef {Object} LoadingOverlay
+ * @property {HTMLElement} element Overlay element.
+ * @property {Function} retry Re-issue the failed loads. Return a promise settled once every retry has settled.
+ * @property {Function} dispose Remove the overlay element and restore the loading manager callbacks.
+ */
+
+/**
+ * Create a loading overlay showing the progress of a loading manager, the
+ * failed assets and a retry button. The loading manager callbacks set before
+ * the overlay are still called.
+ *
+ * @param {Object} options
+ * @param {HTMLElement} options.container Element to append the overlay to.
+ * @param {THREE.LoadingManager} options.manager Loading manager to follow (see the createStage "manager" option).
+ * @param {loadingTemplateCallback} options.template Overlay content template.
+ * @returns {LoadingOverlay} Loading overlay handle.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/loaders/managers/LoadingManager|LoadingManager}
+ */
+export function createLoadingOverlay({
+  container = document.body,
+  manager = THREE.DefaultLoadingManager,
+  template = loadingOverlayTemplate,
+} = {}) {
+  if (
+    !(container instanceof HTMLElement) ||
+    !(manager instanceof THREE.LoadingManager) ||
+    typeof template !== "function"
+  ) {
+    throw new OptionsError(
+      "Invalid options for 'createLoadingOverlay' function."
+    );
+  }
+  const element = document.createElement("div");
+  element.style.position = "fixed";
+  element.style.color = "white";
+  element.style.backgroundColor = "black";
+  element.style.top = 0;
+  element.style.left = 0;
+  element.style.width = "100%";
+  element.style.textAlign = "center";
+  element.style.display = "none";
+  element.style.padding = "0.25em";
+  element.style.fontFamily = "sans-serif";
+  element.style.fontSize = "0.75em";
+  element.style.boxSizing = "border-box";
+  element.classList.add("loading-overlay");
+  container.appendChild(element);
+
+  const state = { url: "", loaded: 0, total: 0, failed: [], loading: false };
+  const update = function () {
+    element.innerHTML = template({
+      ...state,
+      failed: state.failed.slice(),
+      percent: state.total > 0 ? (state.loaded / state.total) * 100 : 0,
+    });
+    element.style.display =
+      state.loading || state.failed.length > 0 ? "block" : "none";
+  };
+
+  const retry = function () {
+    const failed = state.failed;
+    state.failed = [];
+    update();
+    return Promise.allSettled(failed.map(retryLoad));
+  };
+  const onClick = function (event) {
+    if (event.target.closest("[data-retry]")) {
+      retry();
+    }
+  };
+  element.addEventListener("click", onClick);
+
+  const previous = {
+    onStart: manager.onStart,
+    onProgress: manager.onProgress,
+    onLoad: manager.onLoad,
+    onError: manager.onError,
+  };
+  const callbacks = {
+    onStart: function (url, loaded, total) {
+      Object.assign(state, { url, loaded, total, loading: true });
+      update();
+    },
+    onProgress: function (url, loaded, total) {
+      Object.assign(state, { url, loaded, total, loading: loaded < total });
+      update();
+    },
+    onLoad: function () {
+      state.loading = false;
+      update();
+    },
+    onError: function (url) {
+      state.url = url;
+      if (!state.failed.includes(url)) {
+        state.failed.push(url);
+      }
+      update();
+    },
+  };
+  Object.keys(callbacks).forEach(function (name) {
+    manager[name] = function () {
+      if (typeof previous[name] === "function") {
+        previous[name].apply(manager, arguments);
+      }
+      callbacks[name].apply(manager, arguments);
+    };
+  });
+
+  return {
+    element,
+    retry,
+    dispose: function () {
+      Object.keys(previous).forEach(function (name) {
+        manager[name] = previous[name];
+      });
+      element.removeEventListener("click", onClick);
+      element.remove();
+    },
+  };
+}
+
+/**
+ * Check for WebGL2 support on the current browser.
+ *
+ * @returns {Boolean} Return true if the browser supports WebGL2; return false otherwise.
+ *
+ * @see {@link https://threejs.org/docs/#manual/en/introduction/WebGL-compatibility-check|WebGL compatibility check}
+ */
+export function isSupported() {
+  if (!WebGL.isWebGL2Available()) {
+    const element = document.createElement("div");
+    element.style.position = "fixed";
+    element.style.bottom = 0;
+    element.style.right = 0;
+    element.classList.add("webgl2-unsupported");
+    element.appendChild(WebGL.getWebGL2ErrorMessage());
+    document.getElementsByTagName("body")[0].appendChild(element);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Register the service worker precaching the pages, library files, fonts,
+ * backgrounds and models, so the tinkerspace works offline after a first
+ * visit. The pages and functions.js are fetched from the network first; other
+ * same-origin files are cached once fetched.
+ *
+ * @async
+ * @param {Object} options
+ * @param {String} options.url Service worker script URL (root-relative URLs are prefixed with the asset base path).
+ * @returns {?ServiceWorkerRegistration} Service worker registration, or null when service workers are unavailable (FILE protocol, insecure origin) or the registration failed.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Service_Worker_API|Service Worker API}
+ */
+export async function enableOffline({ url = "/sw.js" } = {}) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) {
+    return null;
+  }
+  try {
+    return await navigator.serviceWorker.register(resolveAssetUrl(url));
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+}
+
+/**
+ * Renderer tone mapping names accepted by the setBackground function.
+ *
+ * @type {Object<String, Number>}
+ */
+const toneMappings = {
+  none: THREE.NoToneMapping,
+  linear: THREE.LinearToneMapping,
+  reinhard: THREE.ReinhardToneMapping,
+  cineon: THREE.CineonToneMapping,
+  aces: THREE.ACESFilmicToneMapping,
+  agx: THREE.AgXToneMapping,
+  neutral: THREE.NeutralToneMapping,
+};
+
+/**
+ * Set the scene background and image-based lighting.
+ *
+ * @param {Object} options
+ * @param {Number} options.color Default background color regardless of color scheme.
+ * @param {Number} options.dark Background color for the dark color scheme.
+ * @param {Number} options.light Background color for the light color scheme.
+ * @param {String} options.image Background image URL in JPEG or PNG format.
+ * @param {String} options.hdr Background image URL in HDR format.
+ * @param {String} options.exr Background image URL in EXR format.
+ * @param {String|Boolean} options.environment Environment map URL (HDR, EXR, JPEG or PNG) lighting the scene, or false for none. HDR and EXR backgrounds light the scene by default.
+ * @param {Number} options.backgroundBlurriness Background blur between 0 and 1.
+ * @param {Number} options.backgroundIntensity Background texture intensity.
+ * @param {Number} options.backgroundRotation Background rotation around the Y axis, in radians.
+ * @param {Number} options.environmentIntensity Environment lighting intensity.
+ * @param {Number} options.environmentRotation Environment rotation around the Y axis, in radians.
+ * @param {String} options.toneMapping Renderer tone mapping: "none", "linear", "reinhard", "cineon", "aces", "agx" or "neutral".
+ * @param {Number} options.toneMappingExposure Renderer tone mapping exposure.
+ * @param {Number} options.transition Fade duration in seconds when replacing a textured background or environment.
+ * @param {THREE.WebGLRenderer} options.renderer Renderer used to prefilter the environment map and receiving the tone mapping.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @returns {Promise} Resolved once the background files are loaded and applied (or their fade started), rejected with a ParseError (after falling back) when a file cannot be parsed.
+ * @throws {OptionsError} Invalid options.
+ *
+ * The color scheme listener, the background textures and the prefiltered
+ * environment are released by the disposeObject function (called on the
+ * scene) or by the next setBackground call on the same scene.
+ *
+ * A background image that cannot be loaded falls back to the background
+ * color, and an environment map to no environment lighting; the loading
+ * overlay retry button loads them again.
+ *
+ * Without a renderer the environment map is used as loaded and three.js
+ * prefilters it on first render. With a transition the current background
+ * and environment fade out and the new ones fade in, each for half of the
+ * duration.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/scenes/Scene|Scene}
+ * @see {@link https://threejs.org/docs/#api/en/extras/PMREMGenerator|PMREMGenerator}
+ * @see {@link https://threejs.org/docs/#api/en/constants/Renderer|Tone Mapping}
+ */
+export function setBackground({
+  color = 0x666666,
+  dark = undefined,
+  light = undefined,
+  image = undefined,
+  hdr = undefined,
+  exr = undefined,
+  environment = undefined,
+  backgroundBlurriness = 0,
+  backgroundIntensity = 1,
+  backgroundRotation = 0,
+  environmentIntensity = 1,
+  environmentRotation = 0,
+  toneMapping = undefined,
+  toneMappingExposure = 1,
+  transition = 0,
+  renderer = undefined,
+  scene = undefined,
+}) {
+  if (
+    scene instanceof THREE.Scene &&
+    (typeof renderer === "undefined" ||
+      renderer instanceof THREE.WebGLRenderer) &&
+    (typeof toneMapping === "undefined" ||
+      Object.hasOwn(toneMappings, toneMapping)) &&
+    transition >= 0
+  ) {
+    scene.userData.background = nodeOptions(arguments[0]);
+    if (backgroundListeners.has(scene)) {
+      backgroundListeners.get(scene)();
+    }
+    if (renderer && typeof toneMapping !== "undefined") {
+      renderer.toneMapping = toneMappings[toneMapping];
+      renderer.toneMappingExposure = toneMappingExposure;
+    }
+    const url = [image, hdr, exr].find(function (value) {
+      return typeof value !== "undefined";
+    });
+    // JPEG and PNG backgrounds do not light the scene unless asked to.
+    const environmentUrl =
+      typeof environment === "undefined" && url !== image
+        ? url
+        : environment || undefined;
+    const request = {};
+    const assetManager = getAssets(scene);
+    const options = arguments[0];
+    backgroundRequests.set(scene, request);
+    const dropPending = addDisposer(scene, function () {
+      backgroundRequests.delete(scene);
+      backgroundFades.delete(scene);
+    });
+    const releaseTextures = function (textures) {
+      textures.forEach(function (texture) {
+        if (texture) {
+          assetManager.release(texture);
+        }
+      });
+    };
+    const swap = function (backgroundTexture, environmentTexture) {
+      dropPending();
+      if (backgroundAssets.has(scene)) {
+        backgroundAssets.get(scene)();
+      }
+      if (typeof dark !== "undefined" && typeof light !== "undefined") {
+        const media = window.matchMedia("(prefers-color-scheme: dark)");
+        const schemeChange = function () {
+          scene.background = new THREE.Color(media.matches ? dark : light);
+        };
+        schemeChange();
+        media.addEventListener("change", schemeChange);
+        const removeListener = function () {
+          media.removeEventListener("change", schemeChange);
+          backgroundListeners.delete(scene);
+          dropDisposer();
+        };
+        const dropDisposer = addDisposer(scene, removeListener);
+        backgroundListeners.set(scene, removeListener);
+      } else if (backgroundTexture) {
+        scene.background = backgroundTexture;
+      } else {
+        scene.background = new THREE.Color(color);
+      }
+      let target = null;
+      if (environmentTexture) {
+        if (renderer) {
+          const generator = new THREE.PMREMGenerator(renderer);
+          target = generator.fromEquirectangular(environmentTexture);
+          generator.dispose();
+        }
+        scene.environment = target ? target.texture : environmentTexture;
+      }
+      scene.backgroundBlurriness = backgroundBlurriness;
+      scene.backgroundRotation.set(0, backgroundRotation, 0);
+      scene.environmentRotation.set(0, environmentRotation, 0);
+      if (backgroundTexture || environmentTexture) {
+        const environmentMap = scene.environment;
+        const release = function () {
+          if (environmentMap && scene.environment === environmentMap) {
+            scene.environment = null;
+          }
+          releaseTextures([backgroundTexture, environmentTexture]);
+          if (target) {
+            target.dispose();
+          }
+          backgroundAssets.delete(scene);
+          dropDisposer();
+        };
+        const dropDisposer = addDisposer(scene, release);
+        backgroundAssets.set(scene, release);
+      }
+    };
+    const apply = function (backgroundTexture, environmentTexture) {
+      if (
+        transition > 0 &&
+        (scene.background instanceof THREE.Texture ||
+          scene.environment instanceof THREE.Texture)
+      ) {
+        fadeBackground(scene, {
+          duration: transition,
+          backgroundIntensity,
+          environmentIntensity,
+          swap: function () {
+            swap(backgroundTexture, environmentTexture);
+          },
+          cancel: function () {
+            dropPending();
+            releaseTextures([backgroundTexture, environmentTexture]);
+          },
+        });
+      } else {
+        backgroundFades.delete(scene);
+        swap(backgroundTexture, environmentTexture);
+        scene.backgroundIntensity = backgroundIntensity;
+        scene.environmentIntensity = environmentIntensity;
+      }
+    };
+    if (typeof url === "undefined" && typeof environmentUrl === "undefined") {
+      apply(null, null);
+      return Promise.resolve();
+    }
+    return Promise.allSettled(
+      [url, environmentUrl].map(function (source) {
+        return typeof source === "undefined"
+          ? null
+          : assetManager.environment(source);
+      })
+    ).then(function (results) {
+      const textures = results.map(function (result) {
+        return result.status === "fulfilled" ? result.value : null;
+      });
+      const failed = results.find(function (result) {
+        return result.status === "rejected";
+      });
+      // Missing files are reported by the asset manager (see the
+      // configureAssets function); other failures reject the promise.
+      const broken = results.find(function (result) {
+        return (
+          result.status === "rejected" &&
+          !(result.reason instanceof NetworkError)
+        );
+      });
+      if (backgroundRequests.get(scene) !== request) {
+        releaseTextures(textures);
+        dropPending();
+        if (broken) {
+          throw broken.reason;
+        }
+        return;
+      }
+      if (failed) {
+        addRetry(
+          resolveAssetUrl([url, environmentUrl][results.indexOf(failed)]),
+          function () {
+            return setBackground(options);
+          }
+        );
+      }
+      // A texture that failed to load falls back to the background color (or
+      // to no environment lighting).
+      apply(...textures);
+      if (broken) {
+        throw broken.reason;
+      }
+    });
+  } else {
+    throw new OptionsError("Invalid options for 'setBackground' function.");
+  }
+}
+
+/**
+ * Fade the background and environment intensities of the scene out, swap
+ * them, then fade the new ones in. A later fade or setBackground call on
+ * the same scene cancels a fade that has not swapped yet.
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @param {Object} options
+ * @param {Number} options.duration Fade duration in seconds.
+ * @param {Number} options.backgroundIntensity Background intensity to fade in to.
+ * @param {Number} options.environmentIntensity Environment intensity to fade in to.
+ * @param {Function} options.swap Callback replacing the background and environment.
+ * @param {Function} options.cancel Callback releasing what the swap would have set.
+ */
+function fadeBackground(
+  scene,
+  { duration, backgroundIntensity, environmentIntensity, swap, cancel }
+) {
+  const fade = {};
+  const from = {
+    backgroundIntensity: scene.backgroundIntensity,
+    environmentIntensity: scene.environmentIntensity,
+  };
+  const start = performance.now();
+  let swapped = false;
+  const step = function () {
+    if (backgroundFades.get(scene) !== fade) {
+      if (!swapped) {
+        cancel();
+      }
+      return;
+    }
+    const progress = Math.min(
+      Math.max((performance.now() - start) / (duration * 500), 0),
+      2
+    );
+    if (progress < 1) {
+      scene.backgroundIntensity = from.backgroundIntensity * (1 - progress);
+      scene.environmentIntensity = from.environmentIntensity * (1 - progress);
+    } else {
+      if (!swapped) {
+        swapped = true;
+        swap();
+      }
+      scene.backgroundIntensity = backgroundIntensity * (progress - 1);
+      scene.environmentIntensity = environmentIntensity * (progress - 1);
+    }
+    if (progress < 2) {
+      requestAnimationFrame(step);
+    } else {
+      backgroundFades.delete(scene);
+    }
+  };
+  backgroundFades.set(scene, fade);
+  requestAnimationFrame(step);
+}
+
+/**
+ * Release the background (and environment) texture set by a previous
+ * setBackground call on the scene, if any, remove its color scheme
+ * listener, and cancel pending loads and fades.
+ *
+ * @param {THREE.Scene} scene Scene object.
+ */
+function releaseBackground(scene) {
+  backgroundRequests.delete(scene);
+  backgroundFades.delete(scene);
+  if (backgroundListeners.has(scene)) {
+    backgroundListeners.get(scene)();
+  }
+  if (backgroundAssets.has(scene)) {
+    backgroundAssets.get(scene)();
+  }
+}
+
+/**
+ * A scene theme.
+ *
+ * @typedef {Object} Theme
+ * @property {Number} background Background color.
+ * @property {{color: Number, intensity: Number}[]} lights Light colors and intensities, applied in order to the lights created by createStage or loadScene. A light keeps the color and intensity given in its own options; the default stage lights take both.
+ * @property {{text: Number, shape: Number, box: Number}} colors Default material colors of renderText, renderShape and renderBox (and the other primitives), used when no color option is given.
+ */
+
+/**
+ * Registered themes. The "dark" and "light" themes follow the system's color
+ * scheme when the active theme is "auto".
+ *
+ * @type {Object<String, Theme>}
+ */
+const themes = {
+  dark: {
+    background: 0x2b2b2b,
+    lights: [
+      { color: 0xffffff, intensity: 10 },
+      { color: 0xffffff, intensity: 1 },
+    ],
+    colors: { text: 0xffcc66, shape: 0xffffff, box: 0xffffff },
+  },
+  light: {
+    background: 0xf5f7ff,
+    lights: [
+      { color: 0xffffff, intensity: 6 },
+      { color: 0xffffff, intensity: 1 },
+    ],
+    colors: { text: 0x663300, shape: 0x333333, box: 0x333333 },
+  },
+};
+
+/**
+ * Active theme name ("auto" follows the system's color scheme).
+ *
+ * @type {String}
+ */
+let activeTheme = "auto";
+
+/**
+ * Themed scenes mapped to their theming options.
+ *
+ * @type {Map<THREE.Scene, {background: Boolean}>}
+ */
+const themedScenes = new Map();
+
+/**
+ * Color scheme media query list, listened to while scenes are themed.
+ *
+ * @type {(MediaQueryList|undefined)}
+ */
+let themeMedia;
+
+/**
+ * Define (or replace) a theme. Missing properties are taken from the "dark"
+ * theme.
+ *
+ * @param {String} name Theme name.
+ * @param {Theme} theme Theme definition.
+ * @throws {OptionsError} Invalid options.
+ */
+export function defineTheme(name, theme) {
+  if (
+    typeof name !== "string" ||
+    name === "auto" ||
+    typeof theme !== "object"
+  ) {
+    throw new OptionsError("Invalid options for 'defineTheme' function.");
+  }
+  themes[name] = {
+    ...themes.dark,
+    ...theme,
+    colors: { ...themes.dark.colors, ...theme.colors },
+  };
+  if (name === activeTheme || activeTheme === "auto") {
+    themedScenes.forEach(function (options, scene) {
+      themeScene(scene);
+    });
+  }
+}
+
+/**
+ * Get the current theme, resolving "auto" with the system's color scheme.
+ *
+ * @returns {Theme} Current theme.
+ */
+export function getTheme() {
+  if (activeTheme !== "auto") {
+    return themes[activeTheme];
+  }
+  const dark =
+    typeof window !== "undefined" &&
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-color-scheme: dark)").matches;
+  return dark ? themes.dark : themes.light;
+}
+
+/**
+ * Set the active theme and re-theme every themed scene.
+ *
+ * @param {String} name Theme name, or "auto" to follow the system's color scheme.
+ * @throws {OptionsError} Unknown theme.
+ */
+export function setTheme(name) {
+  if (name !== "auto" && !Object.hasOwn(themes, name)) {
+    throw new OptionsError("Unknown theme '" + name + "' for 'setTheme'.");
+  }
+  activeTheme = name;
+  themedScenes.forEach(function (options, scene) {
+    themeScene(scene);
+  });
+}
+
+/**
+ * Re-theme a scene: background, lights and the materials of the objects
+ * rendered without a color option.
+ *
+ * @param {THREE.Scene} scene Scene object.
+ */
+function themeScene(scene) {
+  const theme = getTheme();
+  if (themedScenes.get(scene).background) {
+    releaseBackground(scene);
+    scene.background = new THREE.Color(theme.background);
+  }
+  let lightIndex = 0;
+  scene.traverse(function (object) {
+    if (typeof object.userData.light !== "undefined") {
+      const themeLight = theme.lights[lightIndex++];
+      const given = object.userData.stageLight ? {} : object.userData.light;
+      if (typeof themeLight !== "undefined") {
+        if (!Object.hasOwn(given, "color")) {
+          object.color.set(themeLight.color);
+        }
+        if (!Object.hasOwn(given, "intensity")) {
+          object.intensity = themeLight.intensity;
+        }
+      }
+    } else if (typeof object.userData.themeRole !== "undefined") {
+      [].concat(object.material).forEach(function (material) {
+        if (material.color instanceof THREE.Color) {
+          material.color.set(theme.colors[object.userData.themeRole]);
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Re-theme every themed scene when the system's color scheme changes.
+ */
+function themeSchemeChange() {
+  if (activeTheme === "auto") {
+    themedScenes.forEach(function (options, scene) {
+      themeScene(scene);
+    });
+  }
+}
+
+/**
+ * Theme a scene with the active theme, now and whenever the theme (or, for
+ * the "auto" theme, the system's color scheme) changes. The scene stops
+ * following the theme when disposed (see the disposeObject function).
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @param {Object} options
+ * @param {Boolean} options.background If true, the theme also sets the scene background.
+ * @throws {OptionsError} Invalid options.
+ */
+export function applyTheme(scene, { background = true } = {}) {
+  if (!(scene instanceof THREE.Scene)) {
+    throw new OptionsError("Invalid options for 'applyTheme' function.");
+  }
+  if (!themedScenes.has(scene)) {
+    addDisposer(scene, function () {
+      themedScenes.delete(scene);
+      if (themedScenes.size === 0 && typeof themeMedia !== "undefined") {
+        themeMedia.removeEventListener("change", themeSchemeChange);
+        themeMedia = undefined;
+      }
+    });
+  }
+  themedScenes.set(scene, { background });
+  if (typeof themeMedia === "undefined") {
+    themeMedia = window.matchMedia("(prefers-color-scheme: dark)");
+    themeMedia.addEventListener("change", themeSchemeChange);
+  }
+  themeScene(scene);
+}
+
+/**
+ * Resolve the color of a render function: the given color, or the theme
+ * color of the role for themed scenes (white otherwise).
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @param {String} role Theme color role (text, shape or box).
+ * @param {Number} color Color option.
+ * @returns {Number} Color.
+ */
+function themeColor(scene, role, color) {
+  if (typeof color !== "undefined") {
+    return color;
+  }
+  return themedScenes.has(scene) ? getTheme().colors[role] : 0xffffff;
+}
+
+/**
+ * A callback definition to set the canvas style width and height on screen
+ * resize and orientation change (responsive).
+ *
+ * @callback canvasResponsiveCallback
+ * @param {HTMLElement} canvas Canvas element to resize.
+ *
+ * @example
+ * function (canvas) {
+ *   // Set aspect ratio 4:1
+ *   canvas.style.width = "100%";
+ *   canvas.style.height = canvas.clientWidth / 4 + "px";
+ * }
+ */
+
+/**
+ * Default canvas responsive callback. Fill the whole browser window.
+ *
+ * @type {canvasResponsiveCallback}
+ */
+function responsiveFullWindow(canvas) {
+  canvas.style.width = window.innerWidth + "px";
+  canvas.style.height = window.innerHeight + "px";
+}
+
+/**
+ * Default options of the adaptive resolution mode of the setResponsive
+ * function.
+ *
+ * @type {Object}
+ */
+const resolutionAdaptation = {
+  minPixelRatio: 0.5,
+  targetFps: 60,
+  step: 0.25,
+  frames: 60,
+};
+
+/**
+ * Set canvas element to be responsive.
+ *
+ * The canvas resizes on window resize, screen orientation change and, where
+ * supported, whenever its container (parent element) or the canvas itself is
+ * resized (ResizeObserver), so canvases embedded in layouts, dialogs or
+ * iframes follow their container.
+ *
+ * Perspective cameras get the canvas aspect ratio. Orthographic cameras get
+ * a frustum showing the view size vertically (the camera frustum height when
+ * setResponsive is called, by default), widened to the canvas aspect ratio.
+ *
+ * The pixel ratio is the device pixel ratio capped to maxPixelRatio. In
+ * adaptive mode it is lowered step by step while the average render time
+ * exceeds the target frame time, and raised back when renders are fast enough
+ * again. The render loop feeds each render time to the sample method of the
+ * returned function, so nothing is measured while the loop is stopped, paused
+ * or sleeping.
+ *
+ * @param {Object} options
+ * @param {HTMLElement} options.canvas Canvas element.
+ * @param {THREE.WebGLRenderer} options.renderer Renderer object.
+ * @param {(THREE.PerspectiveCamera|THREE.OrthographicCamera)} options.camera Camera object.
+ * @param {canvasResponsiveCallback} options.responsive Canvas responsive callback.
+ * @param {PostProcessing} options.postProcessing Post-processing pipeline to resize along with the renderer.
+ * @param {Number} options.viewSize For orthographic cameras. Visible height in world units.
+ * @param {Number} options.maxPixelRatio Highest pixel ratio.
+ * @param {(Boolean|Object)} options.adaptive Adaptive resolution: true, or adaptive options (minPixelRatio, targetFps, step and frames, the number of frames averaged).
+ * @param {Function} options.onResize Callback called after each resize (and pixel ratio change).
+ * @returns {Function} Stop observing the canvas: remove the listeners and the observer. Its sample method takes the duration of a render in milliseconds (adaptive mode).
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/manual/#en/responsive|Responsive Design}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/ResizeObserver|ResizeObserver}
+ */
+export function setResponsive({
+  canvas = undefined,
+  renderer = undefined,
+  camera = undefined,
+  responsive = responsiveFullWindow,
+  postProcessing = undefined,
+  viewSize = undefined,
+  maxPixelRatio = Infinity,
+  adaptive = false,
+  onResize = undefined,
+}) {
+  if (
+    canvas instanceof HTMLElement &&
+    renderer instanceof THREE.WebGLRenderer &&
+    (camera instanceof THREE.PerspectiveCamera ||
+      camera instanceof THREE.OrthographicCamera) &&
+    typeof responsive === "function" &&
+    (typeof viewSize === "undefined" ||
+      (typeof viewSize === "number" && viewSize > 0)) &&
+    typeof maxPixelRatio === "number" &&
+    maxPixelRatio > 0 &&
+    (typeof adaptive === "boolean" ||
+      (typeof adaptive === "object" && adaptive !== null))
+  ) {
+    const orthographicSize =
+      typeof viewSize === "number" ? viewSize : camera.top - camera.bottom;
+    const { minPixelRatio, targetFps, step, frames } = {
+      ...resolutionAdaptation,
+      ...Object(adaptive),
+    };
+    // Scale of the capped device pixel ratio, lowered in adaptive mode.
+    let scale = 1;
+    let width = 0;
+    let height = 0;
+    const pixelRatio = function () {
+      const ratio = Math.min(window.devicePixelRatio, maxPixelRatio);
+      return Math.max(ratio * scale, Math.min(minPixelRatio, ratio));
+    };
+    const applyPixelRatio = function () {
+      renderer.setPixelRatio(pixelRatio());
+      renderer.setSize(width, height, false);
+      if (typeof postProcessing !== "undefined") {
+        postProcessing.setPixelRatio(pixelRatio());
+        postProcessing.setSize(width, height);
+      }
+      if (typeof onResize === "function") {
+        onResize();
+      }
+    };
+    const resizeChange = function () {
+      responsive(canvas);
+      if (canvas.clientWidth === 0 || canvas.clientHeight === 0) {
+        // Hidden (collapsed dialog, detached element, etc).
+        return;
+      }
+      width = canvas.clientWidth;
+      height = canvas.clientHeight;
+      applyPixelRatio();
+      const aspect = width / height;
+      if (camera instanceof THREE.OrthographicCamera) {
+        camera.left = (-orthographicSize * aspect) / 2;
+        camera.right = (orthographicSize * aspect) / 2;
+        camera.top = orthographicSize / 2;
+        camera.bottom = -orthographicSize / 2;
+      } else {
+        camera.aspect = aspect;
+      }
+      camera.updateProjectionMatrix();
+    };
+
+    const budget = 1000 / targetFps;
+    let samples = [];
+    const sample = function (duration) {
+      if (adaptive !== false) {
+        samples.push(duration);
+        if (samples.length >= frames) {
+          const average =
+            samples.reduce(function (sum, time) {
+              return sum + time;
+            }, 0) / samples.length;
+          const previous = scale;
+          if (average > budget * 1.25) {
+            scale = Math.max(scale - step, 0);
+          } else if (average < budget * 1.05) {
+            scale = Math.min(scale + step, 1);
+          }
+          if (scale !== previous && width > 0) {
+            applyPixelRatio();
+          }
+          samples = [];
+        }
+      }
+    };
+
+    let observer = null;
+    if (typeof ResizeObserver !== "undefined") {
+      observer = new ResizeObserver(resizeChange);
+      observer.observe(canvas);
+      if (canvas.parentElement !== null) {
+        observer.observe(canvas.parentElement);
+      }
+    }
+    window.addEventListener("resize", resizeChange);
+    screen.orientation.addEventListener("change", resizeChange);
+    resizeChange();
+    const unsubscribe = function () {
+      window.removeEventListener("resize", resizeChange);
+      screen.orientation.removeEventListener("change", resizeChange);
+      if (observer !== null) {
+        observer.disconnect();
+      }
+      adaptive = false;
+    };
+    unsubscribe.sample = sample;
+    return unsubscribe;
+  } else {
+    throw new OptionsError("Invalid options for 'setResponsive' function.");
+  }
+}
+
+/**
+ * A callback definition to animate an object/element in the scene.
+ *
+ * @callback animationCallback
+ * @param {*} element Object/element to animate.
+ * @param {Number} delta Delta time.
+ *
+ * @example
+ * function (element, delta) {
+ *   // Rotate in Y axis.
+ *   element.rotation.y += 0.05;
+ * }
+ */
+
+/**
+ * A callback definition for animation lifecycle hooks.
+ *
+ * @callback animationHookCallback
+ * @param {*} element Animated object/element.
+ */
+
+/**
+ * A handle returned when registering an animation.
+ *
+ * @typedef {Object} AnimationHandle
+ * @property {*} element Animated object/element.
+ * @property {animationCallback} animate Animation callback.
+ * @property {Function} isPaused Return true if the animation is paused.
+ * @property {Function} pause Pause the animation (calls the onStop hook).
+ * @property {Function} resume Resume a paused animation (calls the onStart hook on the next update).
+ * @property {Function} remove Unregister the animation (calls the onStop hook).
+ */
+
+/**
+ * An animation registry. Each registry is updated by its own render loop.
+ *
+ * @typedef {Object} AnimationRegistry
+ * @property {Function} add Register an element and its animation callback. Return an animation handle.
+ * @property {Function} get Return the animation handle of an element, if any.
+ * @property {Function} remove Unregister an element.
+ * @property {Function} update Run every active animation callback with the delta time.
+ * @property {Function} clear Unregister every element.
+ * @property {Function} size Return the number of registered elements.
+ * @property {Function} isActive Return true if any registered animation is not paused.
+ * @property {Function} onActive Call a callback whenever an animation is added or resumed. Return a function removing the callback.
+ */
+
+/**
+ * Return true if an object is the scene or one of its descendants.
+ *
+ * @param {THREE.Object3D} object Object.
+ * @param {THREE.Scene} scene Scene object.
+ * @returns {Boolean} True if the object is attached to the scene.
+ */
+function isAttached(object, scene) {
+  let ancestor = object;
+  while (ancestor !== null) {
+    if (ancestor === scene) {
+      return true;
+    }
+    ancestor = ancestor.parent;
+  }
+  return false;
+}
+
+/**
+ * Create an animation registry.
+ *
+ * A registered element that is an object (or has an object) is unregistered
+ * automatically when the object is disposed (see the disposeObject
+ * function). With a scene, an object that has been attached to the scene is
+ * also unregistered on the next update once it is no longer, e.g. when it or
+ * one of its ancestors is removed. Moving the object to another parent in the
+ * scene keeps it registered.
+ *
+ * @param {THREE.Scene} scene Scene object the registry animates.
+ * @returns {AnimationRegistry} Animation registry.
+ *
+ * @example
+ * const animations = createAnimations();
+ * const handle = animations.add(mesh, function (element, delta) {
+ *   element.rotation.y += delta;
+ * });
+ * handle.pause();
+ * animations.update(clock.getDelta());
+ */
+export function createAnimations(scene = undefined) {
+  const handles = new Map();
+  const activeListeners = new Set();
+  const activeChange = function () {
+    activeListeners.forEach(function (callback) {
+      callback();
+    });
+  };
+
+  const add = function (
+    element,
+    animate,
+    { object = undefined, onStart = undefined, onStop = undefined } = {}
+  ) {
+    if (typeof element === "undefined" || typeof animate !== "function") {
+      throw new OptionsError("Invalid options for 'add' animation function.");
+    }
+    remove(element);
+
+    const target =
+      typeof object !== "undefined"
+        ? object
+        : element instanceof THREE.Object3D
+        ? element
+        : undefined;
+    let paused = false;
+    let started = false;
+    let attached = false;
+    let dropDisposer;
+    const start = function () {
+      started = true;
+      if (typeof onStart === "function") {
+        onStart(element);
+      }
+    };
+    const stop = function () {
+      if (started) {
+        started = false;
+        if (typeof onStop === "function") {
+          onStop(element);
+        }
+      }
+    };
+
+    const handle = {
+      element,
+      animate,
+      isPaused: function () {
+        return paused;
+      },
+      pause: function () {
+        if (!paused) {
+          paused = true;
+          stop();
+        }
+      },
+      resume: function () {
+        if (paused) {
+          paused = false;
+          activeChange();
+        }
+      },
+      remove: function () {
+        if (handles.get(element) === handle) {
+          handles.delete(element);
+          if (target instanceof THREE.Object3D) {
+            dropDisposer();
+          }
+          stop();
+        }
+      },
+      update: function (delta) {
+        if (target instanceof THREE.Object3D && scene instanceof THREE.Scene) {
+          if (isAttached(target, scene)) {
+            attached = true;
+          } else if (attached) {
+            handle.remove();
+            return;
+          }
+        }
+        if (!paused) {
+          if (!started) {
+            start();
+          }
+          animate(element, delta);
+        }
+      },
+    };
+    if (target instanceof THREE.Object3D) {
+      dropDisposer = addDisposer(target, handle.remove);
+      attached = scene instanceof THREE.Scene && isAttached(target, scene);
+    }
+    handles.set(element, handle);
+    activeChange();
+    return handle;
+  };
+
+  const remove = function (element) {
+    const handle = handles.get(element);
+    if (typeof handle !== "undefined") {
+      handle.remove();
+    }
+  };
+
+  return {
+    add,
+    get: function (element) {
+      return handles.get(element);
+    },
+    remove,
+    update: function (delta) {
+      Array.from(handles.values()).forEach(function (handle) {
+        handle.update(delta);
+      });
+    },
+    clear: function () {
+      Array.from(handles.keys()).forEach(remove);
+    },
+    size: function () {
+      return handles.size;
+    },
+    isActive: function () {
+      return Array.from(handles.values()).some(function (handle) {
+        return !handle.isPaused();
+      });
+    },
+    onActive: function (callback) {
+      activeListeners.add(callback);
+      return function () {
+        activeListeners.delete(callback);
+      };
+    },
+  };
+}
+
+/**
+ * Animation registries scoped to their scene.
+ *
+ * @type {WeakMap<THREE.Scene, AnimationRegistry>}
+ */
+const sceneAnimations = new WeakMap();
+
+/**
+ * Animation registry used when no scene is given.
+ *
+ * @type {AnimationRegistry}
+ */
+const defaultAnimations = createAnimations();
+
+/**
+ * Get the animation registry of a scene, creating it on first use. Without a
+ * scene, return the default registry (not updated by any stage).
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @returns {AnimationRegistry} Animation registry.
+ */
+export function getAnimations(scene) {
+  if (!(scene instanceof THREE.Scene)) {
+    return defaultAnimations;
+  }
+  if (!sceneAnimations.has(scene)) {
+    sceneAnimations.set(scene, createAnimations(scene));
+  }
+  return sceneAnimations.get(scene);
+}
+
+/**
+ * Easing functions of the timeline tracks, mapping a linear progress between
+ * 0 and 1 to an eased progress.
+ *
+ * @type {Object<String, Function>}
+ */
+const easings = {
+  linear: function (t) {
+    return t;
+  },
+  easeInQuad: function (t) {
+    return t * t;
+  },
+  easeOutQuad: function (t) {
+    return 1 - (1 - t) * (1 - t);
+  },
+  easeInOutQuad: function (t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(2 - 2 * t, 2) / 2;
+  },
+  easeInCubic: function (t) {
+    return t * t * t;
+  },
+  easeOutCubic: function (t) {
+    return 1 - Math.pow(1 - t, 3);
+  },
+  easeInOutCubic: function (t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2;
+  },
+  easeInSine: function (t) {
+    return 1 - Math.cos((t * Math.PI) / 2);
+  },
+  easeOutSine: function (t) {
+    return Math.sin((t * Math.PI) / 2);
+  },
+  easeInOutSine: function (t) {
+    return (1 - Math.cos(t * Math.PI)) / 2;
+  },
+  easeOutBack: function (t) {
+    return 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2);
+  },
+  easeOutBounce: function (t) {
+    if (t < 1 / 2.75) {
+      return 7.5625 * t * t;
+    } else if (t < 2 / 2.75) {
+      return 7.5625 * (t - 1.5 / 2.75) * (t - 1.5 / 2.75) + 0.75;
+    } else if (t < 2.5 / 2.75) {
+      return 7.5625 * (t - 2.25 / 2.75) * (t - 2.25 / 2.75) + 0.9375;
+    }
+    return 7.5625 * (t - 2.625 / 2.75) * (t - 2.625 / 2.75) + 0.984375;
+  },
+};
+
+/**
+ * Materials of an object tree, without duplicates.
+ *
+ * @param {THREE.Object3D} object Object tree.
+ * @returns {THREE.Material[]} Materials.
+ */
+function treeMaterials(object) {
+  const materials = [];
+  object.traverse(function (child) {
+    [].concat(child.material || []).forEach(function (material) {
+      if (!materials.includes(material)) {
+        materials.push(material);
+      }
+    });
+  });
+  return materials;
+}
+
+/**
+ * Colors animated by a color track: the light color, or the material colors
+ * of an object tree.
+ *
+ * @param {THREE.Object3D} target Track target.
+ * @returns {THREE.Color[]} Colors.
+ */
+function trackColors(target) {
+  if (target instanceof THREE.Light) {
+    return [target.color];
+  }
+  return treeMaterials(target)
+    .filter(function (material) {
+      return material.color instanceof THREE.Color;
+    })
+    .map(function (material) {
+      return material.color;
+    });
+}
+
+/**
+ * Properties animated by the timeline tracks: the kind of value ("vector",
+ * "color" or "number"), the targets accepted, and how to read and write the
+ * value of a target. Camera look-at points are kept in a map shared by the
+ * tracks of a timeline and applied once every track is written.
+ *
+ * @type {Object<String, Object>}
+ */
+const trackProperties = {
+  position: {
+    kind: "vector",
+    valid: function (target) {
+      return target instanceof THREE.Object3D;
+    },
+    read: function (target) {
+      return target.position.clone();
+    },
+    write: function (target, value) {
+      target.position.copy(value);
+    },
+  },
+  rotation: {
+    kind: "vector",
+    valid: function (target) {
+      return target instanceof THREE.Object3D;
+    },
+    read: function (target) {
+      return new THREE.Vector3().setFromEuler(target.rotation);
+    },
+    write: function (target, value) {
+      target.rotation.setFromVector3(value);
+    },
+  },
+  scale: {
+    kind: "vector",
+    valid: function (target) {
+      return target instanceof THREE.Object3D;
+    },
+    read: function (target) {
+      return target.scale.clone();
+    },
+    write: function (target, value) {
+      target.scale.copy(value);
+    },
+  },
+  target: {
+    kind: "vector",
+    valid: function (target) {
+      return (
+        target instanceof THREE.Camera ||
+        (typeof target === "object" &&
+          target !== null &&
+          (target.target instanceof THREE.Vector3 ||
+            target.target instanceof THREE.Object3D))
+      );
+    },
+    read: function (target, lookTargets) {
+      if (lookTargets.has(target)) {
+        return lookTargets.get(target).clone();
+      } else if (target instanceof THREE.Camera) {
+        // Point in front of the camera, as far as the origin.
+        return target
+          .getWorldDirection(new THREE.Vector3())
+          .multiplyScalar(target.position.length())
+          .add(target.position);
+      } else if (target.target instanceof THREE.Vector3) {
+        return target.target.clone();
+      }
+      return target.target.position.clone();
+    },
+    write: function (target, value, lookTargets) {
+      if (target instanceof THREE.Camera) {
+        lookTargets.set(target, value.clone());
+      } else if (target.target instanceof THREE.Vector3) {
+        target.target.copy(value);
+      } else {
+        target.target.position.copy(value);
+      }
+    },
+  },
+  color: {
+    kind: "color",
+    valid: function (target) {
+      return target instanceof THREE.Object3D && trackColors(target).length > 0;
+    },
+    read: function (target) {
+      return trackColors(target)[0].clone();
+    },
+    write: function (target, value) {
+      trackColors(target).forEach(function (color) {
+        color.copy(value);
+      });
+    },
+  },
+  opacity: {
+    kind: "number",
+    valid: function (target) {
+      return (
+        target instanceof THREE.Object3D && treeMaterials(target).length > 0
+      );
+    },
+    read: function (target) {
+      return treeMaterials(target)[0].opacity;
+    },
+    write: function (target, value) {
+      treeMaterials(target).forEach(function (material) {
+        material.opacity = value;
+        if (value < 1 && !material.transparent) {
+          material.transparent = true;
+          material.needsUpdate = true;
+        }
+      });
+    },
+  },
+};
+
+/**
+ * Check a keyframe value of a track property.
+ *
+ * @param {String} kind Value kind of the property.
+ * @param {*} value Keyframe value.
+ * @returns {Boolean} True if the value is valid.
+ */
+function validTrackValue(kind, value) {
+  if (kind === "number") {
+    return typeof value === "number";
+  } else if (kind === "color") {
+    return (
+      ["number", "string"].includes(typeof value) ||
+      value instanceof THREE.Color
+    );
+  }
+  return (
+    typeof value === "number" ||
+    (typeof value === "object" &&
+      value !== null &&
+      Object.keys(value).length > 0 &&
+      Object.keys(value).every(function (axis) {
+        return (
+          ["x", "y", "z"].includes(axis) && typeof value[axis] === "number"
+        );
+      }))
+  );
+}
+
+/**
+ * Convert a keyframe value to the value written by its track. Vector
+ * components left out keep the value the target had when the track started.
+ *
+ * @param {String} kind Value kind of the property.
+ * @param {*} value Keyframe value.
+ * @param {*} initial Value of the target when the track started.
+ * @returns {*} Track value.
+ */
+function trackValue(kind, value, initial) {
+  if (kind === "number") {
+    return value;
+  } else if (kind === "color") {
+    return new THREE.Color(value);
+  } else if (typeof value === "number") {
+    return new THREE.Vector3(value, value, value);
+  }
+  const vector = initial.clone();
+  Object.keys(value).forEach(function (axis) {
+    vector[axis] = value[axis];
+  });
+  return vector;
+}
+
+/**
+ * Time within one iteration of a looping span.
+ *
+ * @param {Number} time Time since the start of the first iteration, in seconds.
+ * @param {Number} span Iteration duration in seconds.
+ * @param {Number} count Number of iterations (Infinity to loop forever).
+ * @param {Boolean} yoyo If true, every other iteration plays backwards.
+ * @returns {Number} Time within the iteration.
+ */
+function loopTime(time, span, count, yoyo) {
+  if (span === 0 || !Number.isFinite(span)) {
+    return span === 0 ? 0 : time;
+  }
+  const iteration = Math.min(Math.floor(time / span), count - 1);
+  const local = Math.min(time - iteration * span, span);
+  return yoyo && iteration % 2 === 1 ? span - local : local;
+}
+
+/**
+ * Number of iterations of a loop option.
+ *
+ * @param {Number|Boolean} loop Number of repetitions after the first iteration, or true to loop forever.
+ * @returns {Number} Number of iterations.
+ */
+function loopCount(loop) {
+  return loop === true ? Infinity : loop + 1;
+}
+
+/**
+ * Check a loop option.
+ *
+ * @param {Number|Boolean} loop Loop option.
+ * @returns {Boolean} True if the option is valid.
+ */
+function validLoop(loop) {
+  return (
+    typeof loop === "boolean" ||
+    (typeof loop === "number" &&
+      loop >= 0 &&
+      (Number.isInteger(loop) || loop === Infinity))
+  );
+}
+
+/**
+ * Keyframe of a timeline track.
+ *
+ * @typedef {Object} Keyframe
+ * @property {Number} time Time from the track start, in seconds.
+ * @property {*} value Property value: {x, y, z} components (any subset) for "position", "rotation" (radians), "scale" (or a uniform number) and "target", a color for "color", a number for "opacity".
+ * @property {String|Function} easing Easing of the segment ending at this keyframe (the track easing by default).
+ */
+
+/**
+ * Timeline track options: one property of one target, animated through
+ * keyframes or from/to values.
+ *
+ * @typedef {Object} TrackOptions
+ * @property {Object} target Animated object: an object (position, rotation, scale, color, opacity), a light (color, target), a camera (position, target) or orbit controls (target).
+ * @property {String} property Animated property: "position", "rotation", "scale", "color", "opacity" or "target" (point looked at).
+ * @property {Keyframe[]} keyframes Keyframes by increasing time. Before the first keyframe, the value moves from the value of the target when the track starts.
+ * @property {*} from Start value of the from/to shorthand (the value of the target when the track starts by default).
+ * @property {*} to End value of the from/to shorthand.
+ * @property {Number} duration Duration of the from/to shorthand, in seconds.
+ * @property {String|Function} easing Easing name (see below) or function of the progress between 0 and 1.
+ * @property {Number} at Start time on the timeline, in seconds (the end of the timeline so far by default, to sequence the tracks).
+ * @property {Number} delay Delay added to the start time, in seconds.
+ * @property {Number|Boolean} loop Number of repetitions, or true to repeat forever.
+ * @property {Boolean} yoyo If true, every other repetition plays backwards.
+ */
+
+/**
+ * Timeline returned by the createTimeline function.
+ *
+ * @typedef {Object} Timeline
+ * @property {Function} add Add a track (see TrackOptions). Return the timeline.
+ * @property {Function} play Play (from the start again when finished).
+ * @property {Function} pause Pause.
+ * @property {Function} seek Jump to a time in seconds and apply the track values.
+ * @property {Function} reverse Switch the playing direction, and play.
+ * @property {Function} isPlaying Return true if playing.
+ * @property {Function} isReversed Return true if playing backwards.
+ * @property {Function} time Return the playhead time in seconds.
+ * @property {Function} duration Return the duration in seconds, loops included (Infinity when looping forever).
+ * @property {Function} remove Stop and unregister the timeline from the animation registry.
+ */
+
+/**
+ * Create a timeline of keyframed tracks (position, rotation, scale, color,
+ * opacity and look-at target tweens) played by the animation registry of the
+ * scene, so the render loop advances it with the same delta as every other
+ * animation. Unlike per-frame callbacks, the tracks depend on the elapsed
+ * time only: they play at the same speed at any frame rate and can be
+ * scrubbed with the seek function.
+ *
+ * Easings: "linear", "easeInQuad", "easeOutQuad", "easeInOutQuad",
+ * "easeInCubic", "easeOutCubic", "easeInOutCubic", "easeInSine",
+ * "easeOutSine", "easeInOutSine", "easeOutBack" and "easeOutBounce".
+ *
+ * A track reads the value of its target when it first starts. Later tracks
+ * win over earlier ones on the same property. A camera with a "target" track
+ * keeps looking at its last target point, even while its position moves.
+ * Color and opacity tracks change the materials in place: materials shared
+ * with other objects change too. In the "demand" render mode of a stage,
+ * call the stage invalidate function after seeking a paused timeline.
+ *
+ * @param {Object} options
+ * @param {TrackOptions[]} options.tracks Tracks, sequenced in order unless they set a start time.
+ * @param {Number|Boolean} options.loop Number of repetitions of the whole timeline, or true to repeat forever.
+ * @param {Boolean} options.yoyo If true, every other repetition plays backwards.
+ * @param {Number} options.speed Playback speed.
+ * @param {Boolean} options.autoplay If true, play right away.
+ * @param {Function} options.onComplete Callback called when the timeline reaches its end (its start when reversed).
+ * @param {THREE.Scene} options.scene Scene object (for its animation registry).
+ * @returns {Timeline} Timeline.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @example
+ * const timeline = createTimeline({ scene });
+ * timeline
+ *   .add({ target: camera, property: "position", to: { z: 500 }, duration: 3, easing: "easeInOutSine" })
+ *   .add({ target: mesh, property: "opacity", to: 0, duration: 1, at: 2 });
+ * timeline.seek(1.5);
+ */
+export function createTimeline({
+  tracks = [],
+  loop = false,
+  yoyo = false,
+  speed = 1,
+  autoplay = true,
+  onComplete = undefined,
+  scene = undefined,
+}) {
+  if (
+    !Array.isArray(tracks) ||
+    !validLoop(loop) ||
+    typeof yoyo !== "boolean" ||
+    typeof speed !== "number" ||
+    !(speed > 0) ||
+    typeof autoplay !== "boolean" ||
+    !["undefined", "function"].includes(typeof onComplete)
+  ) {
+    throw new OptionsError("Invalid options for 'createTimeline' function.");
+  }
+  const list = [];
+  const lookTargets = new Map();
+  const count = loopCount(loop);
+  let elapsed = 0;
+  let direction = 1;
+
+  const length = function () {
+    return list.reduce(function (end, track) {
+      return Math.max(end, track.start + track.span * track.count);
+    }, 0);
+  };
+  const duration = function () {
+    const span = length();
+    return span === 0 ? 0 : span * count;
+  };
+
+  const add = function (options, name = "add") {
+    const {
+      target = undefined,
+      property = undefined,
+      keyframes = undefined,
+      from = undefined,
+      to = undefined,
+      duration: span = 1,
+      easing = "linear",
+      at = undefined,
+      delay = 0,
+      loop: trackLoop = false,
+      yoyo: trackYoyo = false,
+    } = Object(options);
+    const frames =
+      typeof keyframes !== "undefined"
+        ? keyframes
+        : [
+            ...(typeof from !== "undefined" ? [{ time: 0, value: from }] : []),
+            { time: span, value: to },
+          ];
+    const validEasing = function (value) {
+      return typeof value === "function" || Object.hasOwn(easings, value);
+    };
+    if (
+      !Object.hasOwn(trackProperties, property) ||
+      !trackProperties[property].valid(target) ||
+      !Array.isArray(frames) ||
+      frames.length === 0 ||
+      frames.some(function (frame, index) {
+        const { time, value, easing: frameEasing = easing } = Object(frame);
+        return (
+          typeof time !== "number" ||
+          !(time >= 0 && time < Infinity) ||
+          (index > 0 && time < frames[index - 1].time) ||
+          !validTrackValue(trackProperties[property].kind, value) ||
+          !validEasing(frameEasing)
+        );
+      }) ||
+      !validEasing(easing) ||
+      !(typeof at === "undefined" || (typeof at === "number" && at >= 0)) ||
+      !(typeof delay === "number" && delay >= 0) ||
+      !validLoop(trackLoop) ||
+      typeof trackYoyo !== "boolean"
+    ) {
+      throw new OptionsError(
+        `Invalid options for '${name}' timeline function.`
+      );
+    }
+    const end = length();
+    list.push({
+      target,
+      property: trackProperties[property],
+      frames,
+      easing,
+      start:
+        (typeof at !== "undefined" ? at : Number.isFinite(end) ? end : 0) +
+        delay,
+      span: frames[frames.length - 1].time,
+      count: loopCount(trackLoop),
+      yoyo: trackYoyo,
+      points: undefined,
+      state: "before",
+    });
+    return timeline;
+  };
+
+  // Record the starting value of a track and resolve its keyframes.
+  const startTrack = function (track) {
+    const { kind, read } = track.property;
+    const initial = read(track.target, lookTargets);
+    const points = track.frames.map(function ({
+      time,
+      value,
+      easing = track.easing,
+    }) {
+      return {
+        time,
+        value: trackValue(kind, value, initial),
+        easing: typeof easing === "function" ? easing : easings[easing],
+      };
+    });
+    if (points[0].time > 0) {
+      points.unshift({ time: 0, value: initial, easing: easings.linear });
+    }
+    track.points = points;
+  };
+  const sample = function (track, time) {
+    const { points } = track;
+    let index = 0;
+    while (index + 1 < points.length && points[index + 1].time <= time) {
+      index++;
+    }
+    if (index + 1 === points.length) {
+      return points[index].value;
+    }
+    const from = points[index];
+    const to = points[index + 1];
+    const progress = to.easing((time - from.time) / (to.time - from.time));
+    return typeof from.value === "number"
+      ? from.value + (to.value - from.value) * progress
+      : from.value.clone().lerp(to.value, progress);
+  };
+  const write = function (track, local) {
+    if (typeof track.points === "undefined") {
+      startTrack(track);
+    }
+    track.property.write(
+      track.target,
+      sample(
+        track,
+        local < 0 ? 0 : loopTime(local, track.span, track.count, track.yoyo)
+      ),
+      lookTargets
+    );
+  };
+  const apply = function () {
+    const time = loopTime(elapsed, length(), count, yoyo);
+    const changes = list.map(function (track) {
+      const local = time - track.start;
+      const state =
+        local < 0
+          ? "before"
+          : local >= track.span * track.count
+          ? "after"
+          : "active";
+      return { track, local, state };
+    });
+    // Tracks leaving their time range write their first or last value once,
+    // before the active tracks so that those win on the same property.
+    changes.forEach(function ({ track, local, state }) {
+      if (
+        state !== "active" &&
+        state !== track.state &&
+        (state === "after" || typeof track.points !== "undefined")
+      ) {
+        write(track, local);
+      }
+    });
+    changes.forEach(function ({ track, local, state }) {
+      if (state === "active") {
+        write(track, local);
+      }
+      track.state = state;
+    });
+    lookTargets.forEach(function (point, camera) {
+      camera.lookAt(point);
+    });
+  };
+
+  const animations = getAnimations(scene);
+  const timeline = {
+    add: function (options) {
+      return add(options);
+    },
+    play: function () {
+      const total = duration();
+      if (direction > 0 && elapsed >= total) {
+        elapsed = 0;
+      } else if (direction < 0 && elapsed <= 0 && Number.isFinite(total)) {
+        elapsed = total;
+      }
+      handle.resume();
+    },
+    pause: function () {
+      handle.pause();
+    },
+    seek: function (time) {
+      elapsed = Math.min(Math.max(time, 0), duration());
+      apply();
+    },
+    reverse: function () {
+      direction = -direction;
+      timeline.play();
+    },
+    isPlaying: function () {
+      return !handle.isPaused();
+    },
+    isReversed: function () {
+      return direction < 0;
+    },
+    time: function () {
+      return elapsed;
+    },
+    duration,
+    remove: function () {
+      animations.remove(timeline);
+    },
+  };
+  tracks.forEach(function (options) {
+    add(options, "createTimeline");
+  });
+  const handle = animations.add(timeline, function (element, delta) {
+    const total = duration();
+    elapsed = Math.min(Math.max(elapsed + delta * speed * direction, 0), total);
+    apply();
+    if (direction > 0 ? elapsed >= total : elapsed <= 0) {
+      handle.pause();
+      if (typeof onComplete === "function") {
+        onComplete(timeline);
+      }
+    }
+  });
+  if (!autoplay) {
+    handle.pause();
+  }
+  return timeline;
+}
+
+/**
+ * Callback function called by the interaction layer.
+ *
+ * @callback interactionCallback
+ * @param {InteractionEvent} event Interaction event.
+ */
+
+/**
+ * An interaction event passed to the interaction callbacks.
+ *
+ * @typedef {Object} InteractionEvent
+ * @property {String} type Event type: "click", "hover", "pointerenter", "pointerleave" or "drag".
+ * @property {*} element Registered object/element (the model object for GLTF models).
+ * @property {THREE.Object3D} object Object hit by the ray (a descendant of the registered object).
+ * @property {(THREE.Object3D|undefined)} root Root object of the GLTF model owning the hit object, if any.
+ * @property {(THREE.Vector3|undefined)} point Hit point in world coordinates (drag point while dragging).
+ * @property {(THREE.Face|undefined)} face Hit face, if any.
+ * @property {(Number|undefined)} distance Hit distance from the camera.
+ * @property {(Number|undefined)} instanceId Hit instance index of an instanced mesh, if any.
+ * @property {(String|undefined)} phase Drag phase: "start", "move" or "end".
+ * @property {(THREE.Vector3|undefined)} delta Drag movement since the previous drag event, in world coordinates.
+ * @property {THREE.Vector2} pointer Pointer position in normalized device coordinates.
+ * @property {PointerEvent} originalEvent Pointer event.
+ */
+
+/**
+ * An interaction registry, raycasting pointer events on a canvas.
+ *
+ * @typedef {Object} InteractionRegistry
+ * @property {Function} add Register an element (an object, or a model object with a "scene" object) and its interaction options. Return a function unregistering it.
+ * @property {Function} get Return the interaction options of an element, if any.
+ * @property {Function} remove Unregister an element.
+ * @property {Function} pick Return the interaction event of the registered element under a pointer position (normalized device coordinates), if any.
+ * @property {Function} size Return the number of registered elements.
+ * @property {Function} dispose Unregister every element and remove the pointer listeners.
+ */
+
+/**
+ * Highest pointer movement in pixels between a pointer press and release
+ * still counted as a click.
+ *
+ * @type {Number}
+ */
+const clickTolerance = 5;
+
+/**
+ * Create an interaction registry on a canvas. Mouse, pen and touch pointers
+ * are supported. Touch pointers hover while pressed only.
+ *
+ * Interaction options: onClick, onHover (on every pointer move over the
+ * element), onPointerEnter, onPointerLeave and onDrag callbacks, a highlight
+ * color (true for the default) added to the hovered element materials (to
+ * the hovered instance color of a batch, see the renderBoxes function) and
+ * a CSS cursor shown while hovered. Dragging moves the pointer on the plane
+ * facing the camera through the drag start point and disables the controls
+ * meanwhile.
+ *
+ * A registered element in the scene is unregistered automatically when
+ * removed from its parent.
+ *
+ * @param {Object} options
+ * @param {HTMLCanvasElement} options.canvas Canvas element receiving the pointer events.
+ * @param {THREE.Camera} options.camera Camera object.
+ * @param {OrbitControls} options.controls Controls disabled while dragging.
+ * @returns {InteractionRegistry} Interaction registry.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/core/Raycaster|Raycaster}
+ */
+export function createInteractions({
+  canvas = undefined,
+  camera = undefined,
+  controls = undefined,
+}) {
+  if (
+    !(canvas instanceof HTMLCanvasElement) ||
+    !(camera instanceof THREE.Camera)
+  ) {
+    throw new OptionsError(
+      "Invalid options for 'createInteractions' function."
+    );
+  }
+  const entries = new Map();
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let hovered = null;
+  let hoveredInstance;
+  let pressed = null;
+  let dragging = null;
+
+  const targetOf = function (element) {
+    return element instanceof THREE.Object3D ? element : element.scene;
+  };
+
+  const addHighlight = function (entry, hit) {
+    const color = new THREE.Color(
+      entry.highlight === true ? 0x333333 : entry.highlight
+    );
+    // Highlight the hovered instance only of a batch.
+    if (
+      typeof hit.instanceId !== "undefined" &&
+      typeof hit.object.highlightInstance === "function"
+    ) {
+      hit.object.highlightInstance(hit.instanceId, color);
+      entry.instance = hit.object;
+      return;
+    }
+    const highlighted = function (material) {
+      const clone = material.clone();
+      if (clone.emissive instanceof THREE.Color) {
+        clone.emissive.add(color);
+      } else if (clone.color instanceof THREE.Color) {
+        clone.color.add(color);
+      }
+      return clone;
+    };
+    entry.materials = new Map();
+    entry.target.traverse(function (object) {
+      if (Array.isArray(object.material)) {
+        entry.materials.set(object, object.material);
+        object.material = object.material.map(highlighted);
+      } else if (object.material instanceof THREE.Material) {
+        entry.materials.set(object, object.material);
+        object.material = highlighted(object.material);
+      }
+    });
+  };
+  const removeHighlight = function (entry) {
+    if (entry.instance !== null) {
+      entry.instance.highlightInstance(null);
+      entry.instance = null;
+    }
+    if (entry.materials !== null) {
+      entry.materials.forEach(function (material, object) {
+        [object.material].flat().forEach(function (clone) {
+          clone.dispose();
+        });
+        object.material = material;
+      });
+      entry.materials = null;
+    }
+  };
+
+  const setPointer = function (event) {
+    const rect = canvas.getBoundingClientRect();
+    pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+  };
+  const createEvent = function (type, entry, hit, originalEvent) {
+    let root;
+    for (
+      let object = hit.object;
+      object !== null && object !== entry.target.parent;
+      object = object.parent
+    ) {
+      if (object.userData.node && object.userData.node.type === "gltf") {
+        root = object;
+        break;
+      }
+    }
+    return {
+      type,
+      element: entry.element,
+      object: hit.object,
+      root,
+      point: hit.point,
+      face: hit.face,
+      distance: hit.distance,
+      instanceId: hit.instanceId,
+      pointer: pointer.clone(),
+      originalEvent,
+    };
+  };
+  const pick = function (position = pointer) {
+    raycaster.setFromCamera(position, camera);
+    const targets = Array.from(entries.values()).map(function (entry) {
+      return entry.target;
+    });
+    const hits = raycaster.intersectObjects(targets, true);
+    for (const hit of hits) {
+      for (let object = hit.object; object !== null; object = object.parent) {
+        if (!object.visible) {
+          break;
+        }
+        if (entries.has(object)) {
+          return { entry: entries.get(object), hit };
+        }
+      }
+    }
+    return null;
+  };
+  const call = function (entry, name, event) {
+    if (typeof entry[name] === "function") {
+      entry[name](event);
+    }
+  };
+
+  const enter = function (picked, event) {
+    hovered = picked.entry;
+    hoveredInstance = picked.hit.instanceId;
+    if (hovered.highlight !== false) {
+      addHighlight(hovered, picked.hit);
+    }
+    if (typeof hovered.cursor === "string") {
+      canvas.style.cursor = hovered.cursor;
+    }
+    call(
+      hovered,
+      "onPointerEnter",
+      createEvent("pointerenter", hovered, picked.hit, event)
+    );
+  };
+  const leave = function (event) {
+    if (hovered !== null) {
+      const entry = hovered;
+      hovered = null;
+      removeHighlight(entry);
+      if (typeof entry.cursor === "string") {
+        canvas.style.cursor = "";
+      }
+      call(
+        entry,
+        "onPointerLeave",
+        createEvent(
+          "pointerleave",
+          entry,
+          { object: entry.target, instanceId: hoveredInstance },
+          event
+        )
+      );
+    }
+  };
+  const drag = function (phase, event) {
+    raycaster.setFromCamera(pointer, camera);
+    const point = new THREE.Vector3();
+    if (raycaster.ray.intersectPlane(dragging.plane, point) === null) {
+      point.copy(dragging.point);
+    }
+    const delta = point.clone().sub(dragging.point);
+    dragging.point.copy(point);
+    call(dragging.entry, "onDrag", {
+      ...createEvent("drag", dragging.entry, dragging.hit, event),
+      point,
+      delta,
+      phase,
+    });
+  };
+
+  const onPointerMove = function (event) {
+    setPointer(event);
+    if (dragging !== null) {
+      drag("move", event);
+      return;
+    }
+    if (event.pointerType === "touch" && pressed === null) {
+      return;
+    }
+    const picked = pick();
+    if (
+      picked === null ||
+      picked.entry !== hovered ||
+      picked.hit.instanceId !== hoveredInstance
+    ) {
+      leave(event);
+      if (picked !== null) {
+        enter(picked, event);
+      }
+    }
+    if (picked !== null) {
+      call(
+        hovered,
+        "onHover",
+        createEvent("hover", hovered, picked.hit, event)
+      );
+    }
+  };
+  const onPointerDown = function (event) {
+    setPointer(event);
+    const picked = pick();
+    if (picked === null) {
+      pressed = null;
+      return;
+    }
+    pressed = { ...picked, x: event.clientX, y: event.clientY };
+    if (
+      event.pointerType === "touch" &&
+      (picked.entry !== hovered || picked.hit.instanceId !== hoveredInstance)
+    ) {
+      leave(event);
+      enter(picked, event);
+    }
+    if (typeof picked.entry.onDrag === "function") {
+      dragging = {
+        entry: picked.entry,
+        hit: picked.hit,
+        point: picked.hit.point.clone(),
+        plane: new THREE.Plane().setFromNormalAndCoplanarPoint(
+          camera.getWorldDirection(new THREE.Vector3()).negate(),
+          picked.hit.point
+        ),
+        controls: controls ? controls.enabled : undefined,
+      };
+      if (controls) {
+        controls.enabled = false;
+      }
+      canvas.setPointerCapture(event.pointerId);
+      drag("start", event);
+    }
+  };
+  const onPointerUp = function (event) {
+    setPointer(event);
+    if (dragging !== null) {
+      drag("end", event);
+      if (controls) {
+        controls.enabled = dragging.controls;
+      }
+      if (canvas.hasPointerCapture(event.pointerId)) {
+        canvas.releasePointerCapture(event.pointerId);
+      }
+      dragging = null;
+    }
+    if (
+      pressed !== null &&
+      Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y) <=
+        clickTolerance
+    ) {
+      const picked = pick();
+      if (picked !== null && picked.entry === pressed.entry) {
+        call(
+          picked.entry,
+          "onClick",
+          createEvent("click", picked.entry, picked.hit, event)
+        );
+      }
+    }
+    pressed = null;
+    if (event.pointerType === "touch") {
+      leave(event);
+    }
+  };
+  const onPointerLeave = function (event) {
+    if (dragging === null) {
+      leave(event);
+    }
+  };
+  const onPointerCancel = function (event) {
+    if (dragging !== null) {
+      if (controls) {
+        controls.enabled = dragging.controls;
+      }
+      dragging = null;
+    }
+    pressed = null;
+    leave(event);
+  };
+
+  canvas.addEventListener("pointermove", onPointerMove);
+  canvas.addEventListener("pointerdown", onPointerDown);
+  canvas.addEventListener("pointerup", onPointerUp);
+  canvas.addEventListener("pointerleave", onPointerLeave);
+  canvas.addEventListener("pointercancel", onPointerCancel);
+
+  const remove = function (element) {
+    const target = targetOf(element);
+    if (entries.has(target)) {
+      const entry = entries.get(target);
+      entries.delete(target);
+      target.removeEventListener("removed", entry.onRemoved);
+      entry.dropDisposer();
+      if (hovered === entry) {
+        leave();
+      }
+      if (pressed !== null && pressed.entry === entry) {
+        pressed = null;
+      }
+      if (dragging !== null && dragging.entry === entry) {
+        if (controls) {
+          controls.enabled = dragging.controls;
+        }
+        dragging = null;
+      }
+    }
+  };
+
+  const add = function (
+    element,
+    {
+      onClick = undefined,
+      onHover = undefined,
+      onPointerEnter = undefined,
+      onPointerLeave = undefined,
+      onDrag = undefined,
+      highlight = false,
+      cursor = undefined,
+    } = {}
+  ) {
+    if (
+      typeof element !== "object" ||
+      element === null ||
+      !(targetOf(element) instanceof THREE.Object3D)
+    ) {
+      throw new OptionsError("Invalid options for 'add' interaction function.");
+    }
+    remove(element);
+    const target = targetOf(element);
+    const entry = {
+      element,
+      target,
+      onClick,
+      onHover,
+      onPointerEnter,
+      onPointerLeave,
+      onDrag,
+      highlight,
+      cursor,
+      materials: null,
+      instance: null,
+      onRemoved: function () {
+        remove(element);
+      },
+    };
+    target.addEventListener("removed", entry.onRemoved);
+    entry.dropDisposer = addDisposer(target, entry.onRemoved);
+    entries.set(target, entry);
+    return entry.onRemoved;
+  };
+
+  return {
+    add,
+    get: function (element) {
+      return entries.get(targetOf(element));
+    },
+    remove,
+    pick: function (position) {
+      const picked = pick(position);
+      return picked === null
+        ? undefined
+        : createEvent("pick", picked.entry, picked.hit);
+    },
+    size: function () {
+      return entries.size;
+    },
+    dispose: function () {
+      Array.from(entries.values()).forEach(function (entry) {
+        remove(entry.element);
+      });
+      canvas.removeEventListener("pointermove", onPointerMove);
+      canvas.removeEventListener("pointerdown", onPointerDown);
+      canvas.removeEventListener("pointerup", onPointerUp);
+      canvas.removeEventListener("pointerleave", onPointerLeave);
+      canvas.removeEventListener("pointercancel", onPointerCancel);
+    },
+  };
+}
+
+/**
+ * Interaction registries created by the createStage function, scoped to
+ * their scene.
+ *
+ * @type {WeakMap<THREE.Scene, InteractionRegistry>}
+ */
+const sceneInteractions = new WeakMap();
+
+/**
+ * Get the interaction registry of a stage scene.
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @returns {(InteractionRegistry|undefined)} Interaction registry, if the scene belongs to a stage.
+ */
+export function getInteractions(scene) {
+  return sceneInteractions.get(scene);
+}
+
+/**
+ * Post-processing pass options: a pass "type" ("bloom", "ssao", "outline",
+ * "fxaa", "smaa", "film" or "vignette"), an optional "name" (the type by
+ * default) to refer to the pass at runtime, an optional "enabled" flag and
+ * the pass parameters:
+ *
+ * - bloom: strength, radius and threshold.
+ * - ssao: kernelRadius, minDistance and maxDistance.
+ * - outline: selectedObjects, edgeStrength, edgeGlow, edgeThickness,
+ *   pulsePeriod, visibleEdgeColor and hiddenEdgeColor.
+ * - film: intensity and grayscale.
+ * - vignette: offset and darkness.
+ *
+ * @typedef {Object} PassOptions
+ */
+
+/**
+ * A post-processing pipeline: the scene render, the declared passes in
+ * order, then the output (tone mapping and color space) pass.
+ *
+ * @typedef {Object} PostProcessing
+ * @property {EffectComposer} composer Effect composer object.
+ * @property {Function} render Render a frame through the passes, given the delta time.
+ * @property {Function} setSize Resize the passes to a canvas width and height.
+ * @property {Function} setPixelRatio Set the pixel ratio of the passes.
+ * @property {Function} get Return a pass object by name, if any.
+ * @property {Function} set Update the parameters of a pass by name.
+ * @property {Function} enable Enable (or disable, given false) a pass by name.
+ * @property {Function} disable Disable a pass by name.
+ * @property {Function} isEnabled Return true if a pass is enabled, by name.
+ * @property {Function} select Set the objects outlined by an outline pass (the "outline" pass by default).
+ * @property {Function} dispose Release the render targets and the passes.
+ */
+
+/**
+ * Post-processing pass factories by pass type. Each factory receives the
+ * scene, the camera and the drawing buffer size.
+ *
+ * @type {Object<String, Function>}
+ */
+const passTypes = {
+  bloom: function ({ width, height }) {
+    return new UnrealBloomPass(new THREE.Vector2(width, height), 1, 0.4, 0.85);
+  },
+  ssao: function ({ scene, camera, width, height }) {
+    return new SSAOPass(scene, camera, width, height);
+  },
+  outline: function ({ scene, camera, width, height }) {
+    return new OutlinePass(new THREE.Vector2(width, height), scene, camera);
+  },
+  fxaa: function () {
+    return new ShaderPass(FXAAShader);
+  },
+  smaa: function ({ width, height }) {
+    return new SMAAPass(width, height);
+  },
+  film: function () {
+    return new FilmPass();
+  },
+  vignette: function () {
+    return new ShaderPass(VignetteShader);
+  },
+};
+
+/**
+ * Set pass parameters, either shader uniforms or pass properties. Colors
+ * accept any color value.
+ *
+ * @param {Pass} pass Pass object.
+ * @param {Object} parameters Pass parameters.
+ * @param {String} name Name of the calling function, for errors.
+ * @throws {OptionsError} Unknown parameter.
+ */
+function setPassParameters(pass, parameters, name) {
+  Object.entries(parameters).forEach(function ([key, value]) {
+    if (["type", "name", "enabled"].includes(key)) {
+      return;
+    }
+    let target, property;
+    if (
+      typeof pass.uniforms === "object" &&
+      Object.hasOwn(pass.uniforms, key) &&
+      key !== "tDiffuse"
+    ) {
+      target = pass.uniforms[key];
+      property = "value";
+    } else if (key in pass && typeof pass[key] !== "function") {
+      target = pass;
+      property = key;
+    } else {
+      throw new OptionsError(
+        `Invalid options for '${name}' function: unknown pass parameter '${key}'.`
+      );
+    }
+    if (target[property] instanceof THREE.Color) {
+      target[property].set(value);
+    } else {
+      target[property] = value;
+    }
+  });
+}
+
+/**
+ * Create a post-processing pipeline rendering the scene through an ordered
+ * list of passes (bloom, SSAO, outline, FXAA, SMAA, film grain, vignette).
+ * Pass parameters can be updated and passes toggled at runtime.
+ *
+ * Resize the pipeline with the canvas through the setResponsive function
+ * "postProcessing" option (the createStage function does it for its own
+ * pipeline).
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer Renderer object.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {THREE.Camera} options.camera Camera object.
+ * @param {PassOptions[]} options.passes Ordered list of pass options.
+ * @returns {PostProcessing} Post-processing pipeline.
+ * @throws {OptionsError} Invalid options (unknown pass type or parameter, duplicate pass name).
+ *
+ * @example
+ * const postProcessing = createPostProcessing({
+ *   renderer,
+ *   scene,
+ *   camera,
+ *   passes: [
+ *     { type: "bloom", strength: 0.8, threshold: 0.9 },
+ *     { type: "vignette", darkness: 1.2, enabled: false },
+ *     { type: "smaa" },
+ *   ],
+ * });
+ * postProcessing.enable("vignette");
+ * postProcessing.set("bloom", { strength: 1.5 });
+ *
+ * @see {@link https://threejs.org/docs/#manual/en/introduction/How-to-use-post-processing|How to use post-processing}
+ */
+export function createPostProcessing({
+  renderer = undefined,
+  scene = undefined,
+  camera = undefined,
+  passes = [],
+}) {
+  if (
+    !(renderer instanceof THREE.WebGLRenderer) ||
+    !(scene instanceof THREE.Scene) ||
+    !(camera instanceof THREE.Camera) ||
+    !Array.isArray(passes) ||
+    passes.some(function (options) {
+      return (
+        typeof options !== "object" ||
+        options === null ||
+        !Object.hasOwn(passTypes, options.type)
+      );
+    })
+  ) {
+    throw new OptionsError(
+      "Invalid options for 'createPostProcessing' function."
+    );
+  }
+  const size = renderer.getSize(new THREE.Vector2());
+  let pixelRatio = renderer.getPixelRatio();
+  const composer = new EffectComposer(renderer);
+  composer.addPass(new RenderPass(scene, camera));
+  const named = new Map();
+  const fxaaPasses = [];
+  const updateResolution = function () {
+    fxaaPasses.forEach(function (pass) {
+      pass.uniforms.resolution.value.set(
+        1 / (size.x * pixelRatio),
+        1 / (size.y * pixelRatio)
+      );
+    });
+  };
+  try {
+    passes.forEach(function (options) {
+      const { type, name = type, enabled = true } = options;
+      if (named.has(name)) {
+        throw new OptionsError(
+          `Invalid options for 'createPostProcessing' function: duplicate pass name '${name}'.`
+        );
+      }
+      const pass = passTypes[type]({
+        scene,
+        camera,
+        width: size.x * pixelRatio,
+        height: size.y * pixelRatio,
+      });
+      if (type === "fxaa") {
+        fxaaPasses.push(pass);
+      }
+      named.set(name, pass);
+      composer.addPass(pass);
+      setPassParameters(pass, options, "createPostProcessing");
+      pass.enabled = enabled;
+    });
+  } catch (error) {
+    composer.passes.forEach(function (pass) {
+      pass.dispose();
+    });
+    composer.dispose();
+    throw error;
+  }
+  composer.addPass(new OutputPass());
+  composer.setPixelRatio(pixelRatio);
+  composer.setSize(size.x, size.y);
+  updateResolution();
+
+  const passNamed = function (name, functionName) {
+    if (!named.has(name)) {
+      throw new OptionsError(
+        `Invalid options for '${functionName}' post-processing function: no pass named '${name}'.`
+      );
+    }
+    return named.get(name);
+  };
+
+  return {
+    composer,
+    render: function (delta) {
+      composer.render(delta);
+    },
+    setSize: function (width, height) {
+      size.set(width, height);
+      composer.setSize(width, height);
+      updateResolution();
+    },
+    setPixelRatio: function (value) {
+      pixelRatio = value;
+      composer.setPixelRatio(value);
+      updateResolution();
+    },
+    get: function (name) {
+      return named.get(name);
+    },
+    set: function (name, parameters) {
+      setPassParameters(passNamed(name, "set"), parameters, "set");
+    },
+    enable: function (name, enabled = true) {
+      passNamed(name, "enable").enabled = enabled;
+    },
+    disable: function (name) {
+      passNamed(name, "disable").enabled = false;
+    },
+    isEnabled: function (name) {
+      return passNamed(name, "isEnabled").enabled;
+    },
+    select: function (objects, name = "outline") {
+      passNamed(name, "select").selectedObjects = [].concat(objects);
+    },
+    dispose: function () {
+      composer.passes.forEach(function (pass) {
+        pass.dispose();
+      });
+      composer.dispose();
+    },
+  };
+}
+
+/**
+ * A stage handle returned by the createStage function.
+ *
+ * @typedef {Object} Stage
+ * @property {THREE.Scene} scene Scene object.
+ * @property {THREE.PerspectiveCamera} camera Camera object.
+ * @property {THREE.Light[]} lights List of light objects.
+ * @property {THREE.WebGLRenderer} renderer Renderer object.
+ * @property {HTMLCanvasElement} canvas Canvas element.
+ * @property {(OrbitControls|undefined)} controls Orbit controls object.
+ * @property {THREE.Clock} clock Clock object.
+ * @property {AnimationRegistry} animations Animation registry of the scene, updated by the render loop.
+ * @property {InteractionRegistry} interactions Interaction registry of the canvas.
+ * @property {(PostProcessing|undefined)} postProcessing Post-processing pipeline, if any passes were given.
+ * @property {THREE.LoadingManager} manager Loading manager of the stage assets.
+ * @property {AssetManager} assets Asset manager of the stage scene.
+ * @property {Function} start Start the render loop.
+ * @property {Function} stop Stop the render loop.
+ * @property {Function} invalidate Request a frame (in "demand" render mode, after changing the scene outside of the helpers).
+ * @property {Function} dispose Stop the render loop, release every scene resource (see the disposeObject function), the renderer and the controls, and remove the listeners.
+ */
+
+/**
+ * Set camera properties from camera options. Missing options keep the current
+ * camera values.
+ *
+ * @param {THREE.PerspectiveCamera} camera Camera object.
+ * @param {Object} options Camera options (fov, near, far, posX/Y/Z and targetX/Y/Z).
+ */
+function setCamera(
+  camera,
+  {
+    fov = camera.fov,
+    near = camera.near,
+    far = camera.far,
+    posX = camera.position.x,
+    posY = camera.position.y,
+    posZ = camera.position.z,
+    targetX = 0,
+    targetY = 0,
+    targetZ = 0,
+  }
+) {
+  camera.fov = fov;
+  camera.near = near;
+  camera.far = far;
+  camera.position.set(posX, posY, posZ);
+  camera.lookAt(targetX, targetY, targetZ);
+  camera.updateProjectionMatrix();
+}
+
+/**
+ * Create lights from light options and add them to the scene. The options are
+ * kept in the light user data for scene serialization.
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @param {Object[]} lights List of light options (type "directional" or "ambient", color, intensity, posX/Y/Z and targetX/Y/Z).
+ * @returns {THREE.Light[]} List of light objects.
+ */
+function addLights(scene, lights) {
+  return lights.map(function (options) {
+    const {
+      type = "directional",
+      color = 0xffffff,
+      intensity = 1,
+      posX = 0,
+      posY = 0,
+      posZ = 0,
+      targetX = 0,
+      targetY = 0,
+      targetZ = 0,
+    } = options;
+    let light;
+    if (type === "ambient") {
+      light = new THREE.AmbientLight(color, intensity);
+      scene.add(light);
+    } else {
+      light = new THREE.DirectionalLight(color, intensity);
+      light.position.set(posX, posY, posZ);
+      light.target.position.set(targetX, targetY, targetZ);
+      scene.add(light);
+      scene.add(light.target);
+    }
+    light.userData.light = { ...options };
+    return light;
+  });
+}
+
+/**
+ * Default lights of createStage, used when no lights option is given.
+ *
+ * @type {Object[]}
+ */
+const stageLights = [
+  { intensity: 10, posZ: 25 },
+  { intensity: 1, posZ: -200 },
+];
+
+/**
+ * Create a stage (scene, camera, lights, renderer, orbit controls and render
+ * loop) from a declarative configuration.
+ *
+ * @param {Object} options
+ * @param {HTMLElement} options.container Element to append the canvas to, or an existing canvas element to render on.
+ * @param {Object} options.camera Camera options.
+ * @param {Number} options.camera.fov Camera vertical field of view.
+ * @param {Number} options.camera.near Camera near plane.
+ * @param {Number} options.camera.far Camera far plane.
+ * @param {Number} options.camera.posX Camera X coordinate position.
+ * @param {Number} options.camera.posY Camera Y coordinate position.
+ * @param {Number} options.camera.posZ Camera Z coordinate position.
+ * @param {Number} options.camera.targetX X coordinate the camera looks at.
+ * @param {Number} options.camera.targetY Y coordinate the camera looks at.
+ * @param {Number} options.camera.targetZ Z coordinate the camera looks at.
+ * @param {Object[]} options.lights List of light options (type "directional" or "ambient", color, intensity, posX/Y/Z and targetX/Y/Z).
+ * @param {(Object|Boolean)} options.controls Orbit controls options (enableDamping, dampingFactor, screenSpacePanning, minDistance, maxDistance, maxPolarAngle, listenToKeyEvents), or false to disable.
+ * @param {Object} options.background Background options passed to the setBackground function, along with the renderer.
+ * @param {canvasResponsiveCallback} options.responsive Canvas responsive callback.
+ * @param {Number} options.maxPixelRatio Highest pixel ratio of the renderer.
+ * @param {(Boolean|Object)} options.adaptiveResolution Lower the pixel ratio while frames are slow (see the setResponsive function "adaptive" option).
+ * @param {THREE.LoadingManager} options.manager Loading manager of the stage assets. A manager other than the default one gets its own asset manager for the stage scene.
+ * @param {Boolean} options.theme If true, theme the stage scene (see the applyTheme function). The theme sets the background unless background options are given.
+ * @param {PassOptions[]} options.postProcessing Ordered list of post-processing passes (see the createPostProcessing function). The scene renders directly without passes.
+ * @param {String} options.renderMode Render loop mode: "continuous" (every frame) or "demand" (only when something changes).
+ * @param {Boolean} options.pauseOffscreen If true, pause the render loop while the page is hidden or the canvas is out of the viewport. Defaults to false.
+ * @returns {Stage} Stage handle.
+ *
+ * In "demand" render mode the loop sleeps until the controls move (including
+ * damping), an animation of the registry is active, an asset finishes
+ * loading, an object is added to or removed from the scene, a background
+ * transition runs, the canvas is resized, the color scheme changes, or a
+ * pointer moves over the canvas (hover highlights). Call the stage invalidate
+ * function after any other change (e.g. editing an object in place).
+ *
+ * @see {@link https://threejs.org/docs/#api/en/cameras/PerspectiveCamera|PerspectiveCamera}
+ * @see {@link https://threejs.org/docs/#api/en/lights/DirectionalLight|DirectionalLight}
+ * @see {@link https://threejs.org/docs/#api/en/renderers/WebGLRenderer|WebGLRenderer}
+ * @see {@link https://threejs.org/docs/#examples/en/controls/OrbitControls|OrbitControls}
+ */
+export function createStage({
+  container = document.body,
+  camera = {},
+  lights = stageLights,
+  controls = {},
+  background = {},
+  responsive = responsiveFullWindow,
+  maxPixelRatio = 2,
+  adaptiveResolution = false,
+  manager = THREE.DefaultLoadingManager,
+  theme = false,
+  postProcessing = [],
+  renderMode = "continuous",
+  pauseOffscreen = false,
+}) {
+  if (!["continuous", "demand"].includes(renderMode)) {
+    throw new OptionsError("Invalid options for 'createStage' function.");
+  }
+  const scene = new THREE.Scene();
+  const animations = getAnimations(scene);
+  if (manager !== THREE.DefaultLoadingManager) {
+    setAssets(scene, createAssetManager({ manager }));
+  }
+  const clock = new THREE.Clock(false);
+  const isCanvas = container instanceof HTMLCanvasElement;
+  const renderer = new THREE.WebGLRenderer({
+    alpha: true,
+    antialias: true,
+    canvas: isCanvas ? container : undefined,
+  });
+  const canvas = renderer.domElement;
+  if (!isCanvas) {
+    container.appendChild(canvas);
+  }
+
+  const perspectiveCamera = new THREE.PerspectiveCamera(50, 1, 1, 1500);
+  perspectiveCamera.position.set(0, 0, 300);
+  setCamera(perspectiveCamera, camera);
+  const { targetX = 0, targetY = 0, targetZ = 0 } = camera;
+  const lightList = addLights(scene, lights);
+  if (lights === stageLights) {
+    lightList.forEach(function (light) {
+      light.userData.stageLight = true;
+    });
+  }
+
+  let orbitControls;
+  if (controls !== false) {
+    const {
+      enableDamping = true,
+      dampingFactor = 0.05,
+      screenSpacePanning = false,
+      minDistance = 100,
+      maxDistance = 500,
+      maxPolarAngle = Math.PI / 2,
+      listenToKeyEvents = true,
+    } = controls;
+    orbitControls = new OrbitControls(perspectiveCamera, canvas);
+    orbitControls.target.set(targetX, targetY, targetZ);
+    orbitControls.enableDamping = enableDamping;
+    orbitControls.dampingFactor = dampingFactor;
+    orbitControls.screenSpacePanning = screenSpacePanning;
+    orbitControls.minDistance = minDistance;
+    orbitControls.maxDistance = maxDistance;
+    orbitControls.maxPolarAngle = maxPolarAngle;
+    if (listenToKeyEvents === true) {
+      orbitControls.listenToKeyEvents(window);
+    }
+  }
+
+  setBackground({ renderer, ...background, scene });
+  if (theme === true) {
+    applyTheme(scene, { background: Object.keys(background).length === 0 });
+  }
+
+  const pipeline =
+    postProcessing.length > 0
+      ? createPostProcessing({
+          renderer,
+          scene,
+          camera: perspectiveCamera,
+          passes: postProcessing,
+        })
+      : undefined;
+  let frame = null;
+  let running = false;
+  let invalid = true;
+  // The first frame after a pause or a sleep does not advance the animations.
+  let resumed = true;
+  let pageVisible = !document.hidden;
+  let onScreen = true;
+  const schedule = function () {
+    if (
+      running &&
+      frame === null &&
+      (!pauseOffscreen || (pageVisible && onScreen))
+    ) {
+      frame = requestAnimationFrame(render);
+    }
+  };
+  const invalidate = function () {
+    invalid = true;
+    schedule();
+  };
+  const unsubscribeResponsive = setResponsive({
+    canvas,
+    renderer,
+    camera: perspectiveCamera,
+    responsive,
+    postProcessing: pipeline,
+    maxPixelRatio,
+    adaptive: adaptiveResolution,
+    onResize: invalidate,
+  });
+  const render = function () {
+    frame = null;
+    const delta = resumed ? 0 : clock.getDelta();
+    if (resumed) {
+      clock.getDelta();
+      resumed = false;
+    }
+    invalid = false;
+    animations.update(delta);
+    let moving = false;
+    if (typeof orbitControls !== "undefined") {
+      // True while the camera moves, damping included.
+      moving = orbitControls.update();
+    }
+    const renderStart = performance.now();
+    if (typeof pipeline !== "undefined") {
+      pipeline.render(delta);
+    } else {
+      renderer.render(scene, perspectiveCamera);
+    }
+    unsubscribeResponsive.sample(performance.now() - renderStart);
+    if (
+      renderMode === "continuous" ||
+      invalid ||
+      moving ||
+      animations.isActive() ||
+      backgroundFades.has(scene)
+    ) {
+      schedule();
+    } else {
+      resumed = true;
+    }
+  };
+
+  const interactions = createInteractions({
+    canvas,
+    camera: perspectiveCamera,
+    controls: orbitControls,
+  });
+  sceneInteractions.set(scene, interactions);
+
+  const visibilityChange = function () {
+    pageVisible = !document.hidden;
+    visibleChange();
+  };
+  const visibleChange = function () {
+    if (pauseOffscreen && (!pageVisible || !onScreen)) {
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+        frame = null;
+      }
+      resumed = true;
+    } else {
+      invalidate();
+    }
+  };
+  let intersectionObserver = null;
+  if (pauseOffscreen) {
+    document.addEventListener("visibilitychange", visibilityChange);
+    if (typeof IntersectionObserver !== "undefined") {
+      intersectionObserver = new IntersectionObserver(function (entries) {
+        onScreen = entries[entries.length - 1].isIntersecting;
+        visibleChange();
+      });
+      intersectionObserver.observe(canvas);
+    }
+  }
+  const unsubscribeLoads = getAssets(scene).onLoad(invalidate);
+  const unsubscribeAnimations = animations.onActive(invalidate);
+  scene.addEventListener("childadded", invalidate);
+  scene.addEventListener("childremoved", invalidate);
+  const colorScheme = window.matchMedia("(prefers-color-scheme: dark)");
+  colorScheme.addEventListener("change", invalidate);
+  canvas.addEventListener("pointermove", invalidate);
+  canvas.addEventListener("pointerdown", invalidate);
+  canvas.addEventListener("pointerup", invalidate);
+  canvas.addEventListener("pointerleave", invalidate);
+  if (typeof orbitControls !== "undefined") {
+    orbitControls.addEventListener("change", invalidate);
+  }
+
+  const start = function () {
+    if (!running) {
+      running = true;
+      resumed = true;
+      clock.start();
+      invalidate();
+    }
+  };
+  const stop = function () {
+    if (running) {
+      running = false;
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+        frame = null;
+      }
+      clock.stop();
+    }
+  };
+  const dispose = function () {
+    stop();
+    unsubscribeResponsive();
+    unsubscribeLoads();
+    unsubscribeAnimations();
+    scene.removeEventListener("childadded", invalidate);
+    scene.removeEventListener("childremoved", invalidate);
+    document.removeEventListener("visibilitychange", visibilityChange);
+    if (intersectionObserver !== null) {
+      intersectionObserver.disconnect();
+    }
+    colorScheme.removeEventListener("change", invalidate);
+    ["pointermove", "pointerdown", "pointerup", "pointerleave"].forEach(
+      function (type) {
+        canvas.removeEventListener(type, invalidate);
+      }
+    );
+    interactions.dispose();
+    sceneInteractions.delete(scene);
+    disposeObject(scene);
+    animations.clear();
+    if (typeof orbitControls !== "undefined") {
+      orbitControls.dispose();
+    }
+    if (typeof pipeline !== "undefined") {
+      pipeline.dispose();
+    }
+    renderer.dispose();
+    if (!isCanvas) {
+      canvas.remove();
+    }
+  };
+
+  return {
+    scene,
+    camera: perspectiveCamera,
+    lights: lightList,
+    renderer,
+    canvas,
+    controls: orbitControls,
+    clock,
+    animations,
+    interactions,
+    postProcessing: pipeline,
+    manager,
+    assets: getAssets(scene),
+    start,
+    stop,
+    invalidate,
+    dispose,
+  };
+}
+
+/**
+ * Material classes by material option type.
+ *
+ * @type {Object<String, Function>}
+ */
+const materialTypes = {
+  basic: THREE.MeshBasicMaterial,
+  lambert: THREE.MeshLambertMaterial,
+  phong: THREE.MeshPhongMaterial,
+  standard: THREE.MeshStandardMaterial,
+  physical: THREE.MeshPhysicalMaterial,
+  toon: THREE.MeshToonMaterial,
+};
+
+/**
+ * Named material presets of the material option. The "emissive" preset glows
+ * in the object color.
+ *
+ * @type {Object<String, Object>}
+ */
+const materialPresets = {
+  metal: { type: "standard", metalness: 1, roughness: 0.3 },
+  plastic: { type: "standard", metalness: 0, roughness: 0.5 },
+  glass: {
+    type: "physical",
+    metalness: 0,
+    roughness: 0.05,
+    transmission: 1,
+    thickness: 1,
+    ior: 1.5,
+  },
+  emissive: { type: "standard", emissiveIntensity: 1 },
+  toon: { type: "toon" },
+  wireframe: { type: "basic", wireframe: true },
+};
+
+/**
+ * Parameters of MeshPhysicalMaterial that MeshStandardMaterial lacks (three
+ * r167). Material parameters using one of them create a physical material.
+ *
+ * @type {String[]}
+ */
+const physicalParameters = [
+  "anisotropy",
+  "anisotropyMap",
+  "anisotropyRotation",
+  "attenuationColor",
+  "attenuationDistance",
+  "clearcoat",
+  "clearcoatMap",
+  "clearcoatNormalMap",
+  "clearcoatNormalScale",
+  "clearcoatRoughness",
+  "clearcoatRoughnessMap",
+  "dispersion",
+  "ior",
+  "iridescence",
+  "iridescenceIOR",
+  "iridescenceMap",
+  "iridescenceThicknessMap",
+  "iridescenceThicknessRange",
+  "reflectivity",
+  "sheen",
+  "sheenColor",
+  "sheenColorMap",
+  "sheenRoughness",
+  "sheenRoughnessMap",
+  "specularColor",
+  "specularColorMap",
+  "specularIntensity",
+  "specularIntensityMap",
+  "thickness",
+  "thicknessMap",
+  "transmission",
+  "transmissionMap",
+];
+
+/**
+ * Texture parameters holding color data (sRGB). Other texture parameters
+ * (normal, roughness, metalness maps, etc.) hold linear data.
+ *
+ * @type {String[]}
+ */
+const colorMaps = ["map", "emissiveMap", "specularColorMap", "sheenColorMap"];
+
+/**
+ * Material option accepted by the render functions: a preset name ("metal",
+ * "plastic", "glass", "emissive", "toon" or "wireframe"), material parameters
+ * (with texture URLs for the map parameters, an optional "preset" to start
+ * from and an optional "type": "basic", "lambert", "phong", "standard" or
+ * "physical"), or a material instance.
+ *
+ * @typedef {(String|Object|THREE.Material)} MaterialOption
+ */
+
+/**
+ * Check a material option.
+ *
+ * @param {MaterialOption} option Material option.
+ * @returns {Boolean} True if the option is undefined or valid.
+ */
+function validMaterial(option) {
+  if (typeof option === "undefined" || option instanceof THREE.Material) {
+    return true;
+  }
+  const { preset = undefined, type = undefined } =
+    typeof option === "string" ? { preset: option } : Object(option);
+  return (
+    (typeof option === "string" ||
+      (typeof option === "object" && option !== null)) &&
+    (typeof preset === "undefined" || Object.hasOwn(materialPresets, preset)) &&
+    (typeof type === "undefined" || Object.hasOwn(materialTypes, type))
+  );
+}
+
+/**
+ * Create a material from a material option.
+ *
+ * Without a type, parameters create a MeshPhysicalMaterial when they use a
+ * physical-only parameter (transmission, clearcoat, sheen, etc.), a
+ * MeshStandardMaterial otherwise. The object color (and side) apply unless
+ * the parameters set them. A material instance is used as is and left to
+ * the caller to dispose.
+ *
+ * @param {MaterialOption} option Material option.
+ * @param {Object} options
+ * @param {Number} options.color Object color.
+ * @param {String} options.map Texture URL used when the parameters have no map.
+ * @param {Number} options.side Rendered side(s) of the faces.
+ * @param {THREE.Scene} options.scene Scene object (for its asset manager).
+ * @param {String} options.name Name of the calling function, for errors.
+ * @returns {{material: THREE.Material, textures: THREE.Texture[]}} Material, and the textures to release with it.
+ * @throws {OptionsError} Unknown preset or type.
+ */
+function createMaterial(
+  option,
+  { color, map = undefined, side = THREE.FrontSide, scene, name }
+) {
+  if (option instanceof THREE.Material) {
+    shareResources(option, true);
+    return { material: option, textures: [] };
+  }
+  const { preset = undefined, ...parameters } =
+    typeof option === "string" ? { preset: option } : Object(option);
+  if (
+    typeof preset !== "undefined" &&
+    !Object.hasOwn(materialPresets, preset)
+  ) {
+    throw new OptionsError(`Invalid options for '${name}' function.`);
+  }
+  const { type: presetType, ...presetParameters } =
+    typeof preset === "undefined" ? {} : materialPresets[preset];
+  const { type = presetType, ...values } = {
+    color,
+    side,
+    map,
+    ...(preset === "emissive" ? { emissive: color } : {}),
+    ...presetParameters,
+    ...parameters,
+  };
+  const materialType =
+    typeof type !== "undefined"
+      ? type
+      : Object.keys(values).some(function (key) {
+          return physicalParameters.includes(key);
+        })
+      ? "physical"
+      : "standard";
+  if (!Object.hasOwn(materialTypes, materialType)) {
+    throw new OptionsError(`Invalid options for '${name}' function.`);
+  }
+  const textures = [];
+  Object.keys(values).forEach(function (key) {
+    if (typeof values[key] === "undefined") {
+      delete values[key];
+    } else if (
+      typeof values[key] === "string" &&
+      (key === "map" || key.endsWith("Map"))
+    ) {
+      values[key] = getAssets(scene).texture(values[key], {
+        colorSpace: colorMaps.includes(key)
+          ? THREE.SRGBColorSpace
+          : THREE.NoColorSpace,
+      });
+      textures.push(values[key]);
+    }
+  });
+  return { material: new materialTypes[materialType](values), textures };
+}
+
+/**
+ * Release the textures of created materials when an object is disposed.
+ *
+ * @param {THREE.Object3D} object Object using the materials.
+ * @param {THREE.Texture[]} textures Textures returned by createMaterial.
+ * @param {THREE.Scene} scene Scene object (for its asset manager).
+ */
+function releaseTexturesWith(object, textures, scene) {
+  textures.forEach(function (texture) {
+    addDisposer(object, function () {
+      getAssets(scene).release(texture);
+    });
+  });
+}
+
+/**
+ * Text style options a styled text run can override.
+ *
+ * @type {String[]}
+ */
+const textStyleOptions = [
+  "font",
+  "size",
+  "depth",
+  "flat",
+  "curveSegments",
+  "bevelEnabled",
+  "bevelThickness",
+  "bevelSize",
+  "bevelOffset",
+  "bevelSegments",
+  "color",
+  "material",
+];
+
+/**
+ * Horizontal offsets of a text line of a given width, by alignment.
+ *
+ * @type {Object<String, Function>}
+ */
+const textAlignments = {
+  left: function () {
+    return 0;
+  },
+  center: function (width) {
+    return -0.5 * width;
+  },
+  right: function (width) {
+    return -width;
+  },
+};
+
+/**
+ * Vertical offsets of a text block bounding box, by anchor. The "baseline"
+ * anchor keeps the first line baseline at the origin.
+ *
+ * @type {Object<String, Function>}
+ */
+const textAnchors = {
+  baseline: function () {
+    return 0;
+  },
+  top: function (box) {
+    return -box.max.y;
+  },
+  middle: function (box) {
+    return -0.5 * (box.max.y + box.min.y);
+  },
+  bottom: function (box) {
+    return -box.min.y;
+  },
+};
+
+/**
+ * Return the horizontal advance of a character, falling back to the "?"
+ * glyph like the FontLoader.
+ *
+ * @param {Font} font Font object.
+ * @param {String} char Character.
+ * @param {Number} size Font size.
+ * @returns {Number} Advance width.
+ */
+function glyphAdvance(font, char, size) {
+  const glyph = font.data.glyphs[char] || font.data.glyphs["?"];
+  return glyph ? (glyph.ha * size) / font.data.resolution : 0;
+}
+
+/**
+ * Return the line height of a font, as a multiple of the font size, the way
+ * the FontLoader computes it for multi-line strings.
+ *
+ * @param {Font} font Font object.
+ * @returns {Number} Line height factor.
+ */
+function fontLineHeight(font) {
+  const { boundingBox, underlineThickness = 0, resolution } = font.data;
+  return (
+    (boundingBox.yMax - boundingBox.yMin + underlineThickness) / resolution
+  );
+}
+
+/**
+ * Return the advance width of a text in a styled text run.
+ *
+ * @param {Object} run Styled text run with its loaded "fontObject".
+ * @param {String} text Text.
+ * @param {Number} letterSpacing Extra space after each character, as a multiple of the run size.
+ * @returns {Number} Advance width.
+ */
+function measureText(run, text, letterSpacing) {
+  return Array.from(text).reduce(function (width, char) {
+    return (
+      width +
+      glyphAdvance(run.fontObject, char, run.size) +
+      letterSpacing * run.size
+    );
+  }, 0);
+}
+
+/**
+ * Move the curves (and holes) of shapes generated by a font.
+ *
+ * @param {THREE.Shape[]} shapes Shapes.
+ * @param {Number} x Horizontal offset.
+ */
+function translateShapes(shapes, x) {
+  shapes.forEach(function (shape) {
+    [shape, ...shape.holes].forEach(function (path) {
+      path.curves.forEach(function (curve) {
+        ["v0", "v1", "v2", "v3"].forEach(function (point) {
+          if (curve[point] instanceof THREE.Vector2) {
+            curve[point].x += x;
+          }
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Split styled text runs into lines of run pieces, wrapping words that
+ * overflow the maximum width. Trailing spaces do not count in the line width.
+ *
+ * @param {Object[]} runs Styled text runs with their loaded "fontObject".
+ * @param {Object} options
+ * @param {Number} options.maxWidth Maximum line width.
+ * @param {Number} options.letterSpacing Extra space after each character, as a multiple of the run size.
+ * @returns {Object[]} Lines with their "pieces", "width", "size" and "lineHeight".
+ */
+function wrapText(runs, { maxWidth, letterSpacing }) {
+  const newLine = function (run) {
+    return {
+      pieces: [],
+      width: 0,
+      size: run.size,
+      lineHeight: fontLineHeight(run.fontObject),
+    };
+  };
+  const lines = [newLine(runs[0])];
+  let wrapped = false;
+  runs.forEach(function (run) {
+    (run.text.match(/\n|[^\S\n]+|\S+/g) || []).forEach(function (token) {
+      let line = lines[lines.length - 1];
+      if (token === "\n") {
+        lines.push(newLine(run));
+        wrapped = false;
+        return;
+      }
+      const isSpace = /^\s+$/.test(token);
+      if (isSpace && wrapped && line.pieces.length === 0) {
+        return;
+      }
+      const width = measureText(run, token, letterSpacing);
+      if (!isSpace && line.pieces.length > 0 && line.width + width > maxWidth) {
+        line = newLine(run);
+        lines.push(line);
+        wrapped = true;
+      }
+      if (line.pieces.length === 0) {
+        line.size = run.size;
+        line.lineHeight = fontLineHeight(run.fontObject);
+      } else {
+        line.size = Math.max(line.size, run.size);
+        line.lineHeight = Math.max(
+          line.lineHeight,
+          fontLineHeight(run.fontObject)
+        );
+      }
+      const last = line.pieces[line.pieces.length - 1];
+      if (last && last.run === run) {
+        last.text += token;
+      } else {
+        line.pieces.push({ run, text: token });
+      }
+      line.width += width;
+    });
+  });
+  lines.forEach(function (line) {
+    const last = line.pieces[line.pieces.length - 1];
+    if (last) {
+      const text = last.text.trimEnd();
+      line.width -= measureText(
+        last.run,
+        last.text.slice(text.length),
+        letterSpacing
+      );
+      if (line.width > 0) {
+        line.width -= letterSpacing * last.run.size;
+      }
+      last.text = text;
+    }
+  });
+  return lines;
+}
+
+/**
+ * Create the mesh of a styled text run piece. The shapes are laid out from
+ * the mesh origin, on the baseline.
+ *
+ * @param {Object} run Styled text run with its loaded "fontObject".
+ * @param {String} text Text of the piece.
+ * @param {Number} letterSpacing Extra space after each character, as a multiple of the run size.
+ * @param {THREE.Scene} scene Scene object (for the theme text color).
+ * @returns {THREE.Mesh} Text mesh.
+ */
+function createTextMesh(run, text, letterSpacing, scene) {
+  const shapes = [];
+  let x = 0;
+  Array.from(text).forEach(function (char) {
+    const glyphShapes = run.fontObject.generateShapes(char, run.size);
+    translateShapes(glyphShapes, x);
+    shapes.push(...glyphShapes);
+    x +=
+      glyphAdvance(run.fontObject, char, run.size) + letterSpacing * run.size;
+  });
+  const color = themeColor(scene, "text", run.color);
+  let geometry,
+    material,
+    textures = [];
+  if (typeof run.material !== "undefined") {
+    ({ material, textures } = createMaterial(run.material, {
+      color,
+      side: run.flat === true ? THREE.DoubleSide : THREE.FrontSide,
+      scene,
+      name: "renderText",
+    }));
+  }
+  if (run.flat === true) {
+    geometry = new THREE.ShapeGeometry(shapes, run.curveSegments);
+    material =
+      material ||
+      new THREE.MeshBasicMaterial({
+        color,
+        side: THREE.DoubleSide,
+      });
+  } else {
+    geometry = new THREE.ExtrudeGeometry(shapes, {
+      depth: run.depth,
+      curveSegments: run.curveSegments,
+      bevelEnabled: run.bevelEnabled,
+      bevelThickness: run.bevelThickness,
+      bevelSize: run.bevelSize,
+      bevelOffset: run.bevelOffset,
+      bevelSegments: run.bevelSegments,
+    });
+    material = material || [
+      new THREE.MeshPhongMaterial({
+        flatShading: true,
+        color,
+      }),
+      new THREE.MeshPhongMaterial({ color }),
+    ];
+  }
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.userData.themeRole =
+    typeof run.color === "undefined" &&
+    !(run.material instanceof THREE.Material)
+      ? "text"
+      : undefined;
+  releaseTexturesWith(mesh, textures, scene);
+  return mesh;
+}
+
+/**
+ * Lay styled text runs out into line groups of run piece meshes, or of glyph
+ * meshes (numbered in reading order, spaces left out).
+ *
+ * @param {Object[]} runs Styled text runs with their loaded "fontObject".
+ * @param {Object} options
+ * @param {String} options.align Horizontal alignment: "left", "center" or "right".
+ * @param {String} options.anchor Vertical anchor: "baseline", "top", "middle" or "bottom".
+ * @param {Number} options.maxWidth Maximum line width.
+ * @param {Number} options.lineHeight Distance between baselines, as a multiple of the line sizes (font line height when undefined).
+ * @param {Number} options.letterSpacing Extra space after each character, as a multiple of the run size.
+ * @param {Boolean} options.glyphs If true, create one mesh per glyph.
+ * @param {THREE.Scene} options.scene Scene object (for the theme text color).
+ * @returns {THREE.Group[]} Line groups.
+ */
+function layoutText(
+  runs,
+  { align, anchor, maxWidth, lineHeight, letterSpacing, glyphs, scene }
+) {
+  const lines = wrapText(runs, { maxWidth, letterSpacing });
+  const box = new THREE.Box3();
+  let baseline = 0;
+  let glyphIndex = 0;
+  const lineGroups = lines.map(function (line, index) {
+    if (index > 0) {
+      const previous = lines[index - 1];
+      baseline -=
+        (typeof lineHeight === "undefined"
+          ? Math.max(previous.lineHeight, line.lineHeight)
+          : lineHeight) *
+        0.5 *
+        (previous.size + line.size);
+    }
+    const lineGroup = new THREE.Group();
+    lineGroup.position.set(textAlignments[align](line.width), baseline, 0);
+    let x = 0;
+    line.pieces.forEach(function (piece) {
+      (glyphs ? Array.from(piece.text) : [piece.text]).forEach(function (
+        pieceText
+      ) {
+        if (pieceText.trim() !== "") {
+          const mesh = createTextMesh(
+            piece.run,
+            pieceText,
+            letterSpacing,
+            scene
+          );
+          mesh.position.x = x;
+          if (glyphs) {
+            mesh.userData.glyph = { index: glyphIndex++, char: pieceText };
+          }
+          lineGroup.add(mesh);
+          mesh.geometry.computeBoundingBox();
+          box.union(
+            mesh.geometry.boundingBox
+              .clone()
+              .translate(new THREE.Vector3(x, 0, 0).add(lineGroup.position))
+          );
+        }
+        x += measureText(piece.run, pieceText, letterSpacing);
+      });
+    });
+    lineGroup.userData.line = index;
+    return lineGroup;
+  });
+  if (!box.isEmpty()) {
+    const offsetY = textAnchors[anchor](box);
+    lineGroups.forEach(function (lineGroup) {
+      lineGroup.position.y += offsetY;
+    });
+  }
+  return lineGroups;
+}
+
+/**
+ * Style text runs: any text style option a run leaves out is taken from the
+ * text style.
+ *
+ * @param {(String|Array<(String|TextRun)>)} text Text, or a list of text runs.
+ * @param {Object} style Text style options.
+ * @returns {Object[]} Styled text runs.
+ */
+function styleTextRuns(text, style) {
+  return [].concat(text).map(function (run) {
+    const options = typeof run === "string" ? { text: run } : Object(run);
+    return textStyleOptions.reduce(
+      function (styledRun, name) {
+        if (typeof options[name] !== "undefined") {
+          styledRun[name] = options[name];
+        }
+        return styledRun;
+      },
+      { ...style, text: options.text }
+    );
+  });
+}
+
+/**
+ * Check styled text runs.
+ *
+ * @param {Object[]} runs Styled text runs.
+ * @returns {Boolean} True if there is at least one run and every run is valid.
+ */
+function validTextRuns(runs) {
+  return (
+    runs.length > 0 &&
+    runs.every(function (run) {
+      return (
+        typeof run.text === "string" &&
+        typeof run.font === "string" &&
+        typeof run.size === "number" &&
+        run.size > 0 &&
+        validMaterial(run.material)
+      );
+    })
+  );
+}
+
+/**
+ * Load the fonts of a text through an asset manager. If any font fails, the
+ * loaded ones are released.
+ *
+ * @async
+ * @param {AssetManager} assetManager Asset manager.
+ * @param {String[]} fonts Font URLs (duplicates are loaded once).
+ * @param {Object} options Load options (timeout and signal).
+ * @returns {Map<String, Font>} Fonts by URL.
+ * @throws {LoadError} A font cannot be loaded.
+ */
+async function loadTextFonts(assetManager, fonts, options) {
+  const urls = Array.from(new Set(fonts));
+  const results = await Promise.allSettled(
+    urls.map(function (url) {
+      return assetManager.font(url, options);
+    })
+  );
+  const loaded = new Map();
+  results.forEach(function (result, index) {
+    if (result.status === "fulfilled") {
+      loaded.set(urls[index], result.value);
+    }
+  });
+  const failed = results.find(function (result) {
+    return result.status === "rejected";
+  });
+  if (failed) {
+    loaded.forEach(function (fontObject) {
+      assetManager.release(fontObject);
+    });
+    throw failed.reason;
+  }
+  return loaded;
+}
+
+/**
+ * A styled text run. Any text style option left out is inherited from the
+ * renderText options.
+ *
+ * @typedef {Object} TextRun
+ * @property {String} text Text of the run (may contain line breaks).
+ * @property {String} font JSON formatted font typeface file URL.
+ * @property {Number} size Size of text.
+ * @property {Number} color Color of text.
+ * @property {Boolean} flat If true, render flat 2D text.
+ * @property {Number} depth Depth of text.
+ */
+
+/**
+ * Callback function called on every frame for each glyph of a text.
+ *
+ * @callback glyphAnimationCallback
+ * @param {THREE.Mesh} element Glyph mesh.
+ * @param {Number} delta Delta time in seconds.
+ * @param {Number} index Glyph index.
+ * @param {Number} count Number of glyphs.
+ */
+
+/**
+ * A text object returned by the renderText function. Its text, color and
+ * font can be changed in place: the lines are rebuilt from the loaded fonts
+ * and the previous geometries and materials are disposed.
+ *
+ * @typedef {THREE.Group} TextObject
+ * @property {Function} setText Replace the text (a string or a list of styled text runs using the loaded fonts).
+ * @property {Function} setColor Set the color of every run. Materials without a color are left as is, and material instances given in the options are copied before being colored.
+ * @property {Function} setFont Load a font (async) and use it for every run.
+ */
+
+/**
+ * Render a text.
+ *
+ * The text is laid out in lines, broken at line breaks and (with a maximum
+ * width) between words. Each line is a group of one mesh per styled run, or
+ * of one mesh per glyph with the glyphs option. Glyph meshes have a
+ * "userData.glyph" object with their "index" (in reading order, spaces left
+ * out) and "char".
+ *
+ * @async
+ * @param {Object} options
+ * @param {(String|Array<(String|TextRun)>)} options.text Text to render, or a list of styled text runs.
+ * @param {String} options.font JSON formatted font typeface file URL.
+ * @param {Number} options.size Size of text.
+ * @param {Number} options.depth Depth of text.
+ * @param {Boolean} options.flat If true, disregard depth and render flat 2D text.
+ * @param {Number} options.curveSegments Number of points on the curves.
+ * @param {Boolean} options.bevelEnabled Turn the font bevel on or off.
+ * @param {Number} options.bevelThickness Font bevel thickness.
+ * @param {Number} options.bevelSize Font bevel size.
+ * @param {Number} options.bevelOffset Font bevel offset distance.
+ * @param {Number} options.bevelSegments Number of bevel segments.
+ * @param {Number} options.color Color of text. Defaults to the theme text color in themed scenes (see the applyTheme function), white otherwise.
+ * @param {MaterialOption} options.material Material of text, replacing the default Phong (or basic, for flat text) materials.
+ * @param {String} options.align Horizontal alignment of the lines on the position: "left", "center" or "right". Defaults to "center" when posX is undefined, "left" otherwise.
+ * @param {String} options.anchor Vertical anchor of the text on the position: "baseline" (of the first line), "top", "middle" or "bottom".
+ * @param {Number} options.maxWidth Maximum line width before wrapping words.
+ * @param {Number} options.lineHeight Distance between baselines, as a multiple of the text size. Defaults to the font line height.
+ * @param {Number} options.letterSpacing Extra space between characters, as a multiple of the text size.
+ * @param {Boolean} options.glyphs If true, render one mesh per glyph (see the animateGlyph option).
+ * @param {Number} options.scaleX Scale in X coordinate.
+ * @param {Number} options.scaleY Scale in Y coordinate.
+ * @param {Number} options.scaleZ Scale in Z coordinate.
+ * @param {Number} options.posX X coordinate position.
+ * @param {Number} options.posY Y coordinate position.
+ * @param {Number} options.posZ Z coordinate position.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {animationCallback} options.animate Animation callback.
+ * @param {glyphAnimationCallback} options.animateGlyph Animation callback of each glyph mesh (with the glyphs option).
+ * @param {Number} options.timeout Font load timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal to cancel the font load.
+ * @returns {TextObject} Text object, holding the line groups.
+ * @throws {OptionsError} Invalid options.
+ * @throws {NetworkError} Font cannot be fetched or the load timed out.
+ * @throws {ParseError} Font cannot be parsed.
+ *
+ * @see {@link https://threejs.org/docs/#examples/en/loaders/FontLoader|FontLoader}
+ * @see {@link https://threejs.org/docs/#api/en/geometries/ShapeGeometry|ShapeGeometry}
+ * @see {@link https://threejs.org/docs/#api/en/geometries/ExtrudeGeometry|ExtrudeGeometry}
+ */
+export async function renderText({
+  text = "Hello, World!",
+  font = "/fonts/helvetiker_regular.json",
+  size = 10,
+  depth = 3,
+  flat = false,
+  curveSegments = 12,
+  bevelEnabled = false,
+  bevelThickness = 1,
+  bevelSize = 1,
+  bevelOffset = 0,
+  bevelSegments = 12,
+  color = undefined,
+  material = undefined,
+  align = undefined,
+  anchor = "baseline",
+  maxWidth = Infinity,
+  lineHeight = undefined,
+  letterSpacing = 0,
+  glyphs = false,
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = undefined,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+  animateGlyph = undefined,
+  timeout = 0,
+  signal = undefined,
+}) {
+  const node = { type: "text", ...nodeOptions(arguments[0]) };
+  const style = {
+    font,
+    size,
+    depth,
+    flat,
+    curveSegments,
+    bevelEnabled,
+    bevelThickness,
+    bevelSize,
+    bevelOffset,
+    bevelSegments,
+    color,
+    material,
+  };
+  let runs = styleTextRuns(text, style);
+  align =
+    typeof align === "undefined"
+      ? typeof posX === "undefined"
+        ? "center"
+        : "left"
+      : align;
+  node.align = align;
+  if (
+    !validTextRuns(runs) ||
+    !Object.hasOwn(textAlignments, align) ||
+    !Object.hasOwn(textAnchors, anchor) ||
+    !(maxWidth > 0)
+  ) {
+    throw new OptionsError("Invalid options for 'renderText' function.");
+  }
+  const assetManager = getAssets(scene);
+  const fonts = await loadTextFonts(
+    assetManager,
+    runs.map(function (run) {
+      return run.font;
+    }),
+    { timeout, signal }
+  );
+
+  const group = new THREE.Group();
+  const build = function () {
+    group.children.slice().forEach(disposeObject);
+    runs.forEach(function (run) {
+      run.fontObject = fonts.get(run.font);
+    });
+    group.add(
+      ...layoutText(runs, {
+        align,
+        anchor,
+        maxWidth,
+        lineHeight,
+        letterSpacing,
+        glyphs,
+        scene,
+      })
+    );
+    if (typeof animateGlyph === "function") {
+      const glyphMeshes = [];
+      group.traverse(function (object) {
+        if (typeof object.userData.glyph !== "undefined") {
+          glyphMeshes.push(object);
+        }
+      });
+      glyphMeshes.forEach(function (glyphMesh) {
+        getAnimations(scene).add(glyphMesh, function (element, delta) {
+          animateGlyph(
+            element,
+            delta,
+            element.userData.glyph.index,
+            glyphMeshes.length
+          );
+        });
+      });
+    }
+  };
+  const updateNode = function (name, value) {
+    node[name] = value;
+    if (Array.isArray(node.text)) {
+      node.text.forEach(function (run) {
+        if (typeof run === "object") {
+          delete run[name];
+        }
+      });
+    }
+  };
+
+  group.setText = function (value) {
+    const nextRuns = styleTextRuns(value, style);
+    if (
+      !validTextRuns(nextRuns) ||
+      nextRuns.some(function (run) {
+        return !fonts.has(run.font);
+      })
+    ) {
+      throw new OptionsError("Invalid options for 'setText' text function.");
+    }
+    runs = nextRuns;
+    node.text = nodeOptions({ text: value }).text;
+    build();
+  };
+  group.setColor = function (value) {
+    style.color = value;
+    runs.forEach(function (run) {
+      run.color = value;
+    });
+    updateNode("color", value);
+    // Material instances given by the caller may be used elsewhere: color
+    // a copy of them, made once per instance.
+    const copies = new Map();
+    const colored = function (material) {
+      if (!sharedResources.has(material)) {
+        return material;
+      }
+      if (!copies.has(material)) {
+        copies.set(material, material.clone());
+      }
+      return copies.get(material);
+    };
+    group.traverse(function (object) {
+      if (object instanceof THREE.Mesh) {
+        const materials = [].concat(object.material).map(function (material) {
+          if (!(material.color instanceof THREE.Color)) {
+            return material;
+          }
+          const copy = colored(material);
+          copy.color.set(themeColor(scene, "text", value));
+          return copy;
+        });
+        object.material = Array.isArray(object.material)
+          ? materials
+          : materials[0];
+        object.userData.themeRole =
+          typeof value === "undefined" ? "text" : undefined;
+      }
+    });
+  };
+  group.setFont = async function (
+    url,
+    { timeout = 0, signal = undefined } = {}
+  ) {
+    if (typeof url !== "string") {
+      throw new OptionsError("Invalid options for 'setFont' text function.");
+    }
+    const fontObject = await assetManager.font(url, { timeout, signal });
+    fonts.forEach(function (previous) {
+      assetManager.release(previous);
+    });
+    fonts.clear();
+    fonts.set(url, fontObject);
+    style.font = url;
+    runs.forEach(function (run) {
+      run.font = url;
+    });
+    updateNode("font", url);
+    build();
+  };
+
+  build();
+  group.scale.set(scaleX, scaleY, scaleZ);
+  group.position.set(typeof posX === "undefined" ? 0 : posX, posY, posZ);
+  group.userData.node = node;
+  addDisposer(group, function () {
+    fonts.forEach(function (fontObject) {
+      assetManager.release(fontObject);
+    });
+    fonts.clear();
+  });
+  if (typeof animate === "function") {
+    getAnimations(scene).add(group, animate);
+  }
+  if (scene instanceof THREE.Scene) {
+    scene.add(group);
+  }
+  return group;
+}
+
+/**
+ * A callback definition to render a 2D/flat shape procedurally (manually).
+ *
+ * @callback drawShapeCallback
+ * @param {THREE.Shape} shape Shape object.
+ *
+ * @example
+ * function (shape) {
+ *   // Triangle
+ *   shape.moveTo(80, 20);
+ *   shape.lineTo(40, 80);
+ *   shape.lineTo(120, 80);
+ *   shape.lineTo(80, 20);
+ * }
+ */
+
+/**
+ * Default extrusion options of the renderShape function.
+ *
+ * @type {Object}
+ */
+const shapeExtrusion = {
+  depth: 10,
+  steps: 1,
+  curveSegments: 12,
+  bevelEnabled: false,
+  bevelThickness: 1,
+  bevelSize: 1,
+  bevelOffset: 0,
+  bevelSegments: 3,
+};
+
+/**
+ * Draw a regular polygon (or ring, or partial ring) as a shape, matching the
+ * RingGeometry outline.
+ *
+ * @param {Object} options Regular polygon options of the renderShape function.
+ * @returns {THREE.Shape} Shape object.
+ */
+function ringShape({ radius, segments, innerRadius, thetaStart, thetaLength }) {
+  const points = function (circleRadius) {
+    const list = [];
+    for (let i = 0; i <= segments; i++) {
+      const angle = (thetaStart + (i / segments) * thetaLength) * Math.PI;
+      list.push(
+        new THREE.Vector2(
+          circleRadius * Math.cos(angle),
+          circleRadius * Math.sin(angle)
+        )
+      );
+    }
+    return list;
+  };
+  if (thetaLength >= 2) {
+    const shape = new THREE.Shape(points(radius));
+    if (innerRadius > 0) {
+      shape.holes.push(new THREE.Path(points(innerRadius).reverse()));
+    }
+    return shape;
+  }
+  return new THREE.Shape(
+    points(radius).concat(
+      innerRadius > 0 ? points(innerRadius).reverse() : [new THREE.Vector2()]
+    )
+  );
+}
+
+/**
+ * Map the texture coordinates of a shape geometry to its bounding box, so a
+ * texture covers the shape once.
+ *
+ * @param {THREE.BufferGeometry} geometry Shape (or extruded shape) geometry.
+ */
+function fitShapeUvs(geometry) {
+  const position = geometry.attributes.position;
+  const box3 = new THREE.Box3().setFromBufferAttribute(position);
+  const size = new THREE.Vector3();
+  box3.getSize(size);
+  const uv = [];
+  const vector2 = new THREE.Vector2();
+  for (let i = 0; i < position.count; i++) {
+    vector2.fromBufferAttribute(position, i);
+    vector2.sub(box3.min).divide(size);
+    uv.push(vector2.x, vector2.y);
+  }
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uv, 2));
+}
+
+/**
+ * Create the meshes of parsed SVG data: one mesh per filled shape and one per
+ * stroked sub-path, in document order. The returned group flips the SVG y
+ * axis (pointing down) and centers the drawing on its origin.
+ *
+ * @param {Object} data SVG data as parsed by the SVGLoader.
+ * @param {Object} options
+ * @param {Number} options.color Color replacing the SVG fill and stroke colors.
+ * @param {Object} options.extrude Extrusion options, if extruded.
+ * @param {MaterialOption} options.material Material of the fills, if any.
+ * @param {THREE.Scene} options.scene Scene object (for its asset manager).
+ * @returns {THREE.Group} SVG drawing group.
+ */
+function createSvgMeshes(data, { color, extrude, material, scene }) {
+  const drawing = new THREE.Group();
+  const textures = [];
+  const front =
+    typeof extrude === "undefined"
+      ? 0
+      : extrude.depth + (extrude.bevelEnabled ? extrude.bevelThickness : 0);
+  data.paths.forEach(function (path, index) {
+    const style = path.userData.style;
+    const pathMaterial = function (pathColor, opacity, lit) {
+      const parameters = {
+        color: typeof color === "undefined" ? pathColor : color,
+        opacity,
+        transparent: opacity < 1,
+        side: THREE.DoubleSide,
+      };
+      return lit
+        ? new THREE.MeshPhongMaterial(parameters)
+        : new THREE.MeshBasicMaterial({ ...parameters, depthWrite: false });
+    };
+    if (typeof style.fill !== "undefined" && style.fill !== "none") {
+      let fill;
+      if (typeof material === "undefined") {
+        fill = pathMaterial(
+          path.color,
+          style.fillOpacity * style.opacity,
+          typeof extrude !== "undefined"
+        );
+      } else {
+        const created = createMaterial(material, {
+          color: typeof color === "undefined" ? path.color : color,
+          side: THREE.DoubleSide,
+          scene,
+          name: "renderShape",
+        });
+        textures.push(...created.textures);
+        fill = created.material;
+      }
+      SVGLoader.createShapes(path).forEach(function (shape) {
+        const mesh = new THREE.Mesh(
+          typeof extrude === "undefined"
+            ? new THREE.ShapeGeometry(shape)
+            : new THREE.ExtrudeGeometry(shape, extrude),
+          fill
+        );
+        mesh.renderOrder = index;
+        drawing.add(mesh);
+      });
+    }
+    if (typeof style.stroke !== "undefined" && style.stroke !== "none") {
+      const stroke = pathMaterial(
+        new THREE.Color().setStyle(style.stroke),
+        style.strokeOpacity * style.opacity,
+        false
+      );
+      path.subPaths.forEach(function (subPath) {
+        const geometry = SVGLoader.pointsToStroke(subPath.getPoints(), style);
+        if (geometry) {
+          const mesh = new THREE.Mesh(geometry, stroke);
+          mesh.position.z = front;
+          mesh.renderOrder = index;
+          drawing.add(mesh);
+        }
+      });
+    }
+  });
+  drawing.scale.y = -1;
+  drawing.updateMatrixWorld(true);
+  const center = new THREE.Box3()
+    .setFromObject(drawing)
+    .getCenter(new THREE.Vector3());
+  drawing.position.set(-center.x, -center.y, 0);
+  releaseTexturesWith(drawing, textures, scene);
+  return drawing;
+}
+
+/**
+ * Create the geometry of a regular polygon, plane or drawn shape from the
+ * options of the renderShape function.
+ *
+ * @param {Object} options Options of the renderShape function.
+ * @param {Object} extrusion Extrusion options, if extruded.
+ * @returns {(THREE.BufferGeometry|undefined)} Shape geometry, or undefined if the options describe no shape.
+ */
+function shapeGeometry(
+  {
+    radius = undefined,
+    segments = 128,
+    innerRadius = 0,
+    phiSegments = 1,
+    thetaStart = 0,
+    thetaLength = 2,
+    width = undefined,
+    height = undefined,
+    widthSegments = 1,
+    heightSegments = 1,
+    shape = undefined,
+  },
+  extrusion
+) {
+  let geometry, flatShape;
+  if (typeof radius === "number") {
+    if (typeof extrusion === "undefined") {
+      geometry = new THREE.RingGeometry(
+        innerRadius,
+        radius,
+        segments,
+        phiSegments,
+        thetaStart * Math.PI,
+        thetaLength * Math.PI
+      );
+    } else {
+      flatShape = ringShape({
+        radius,
+        segments,
+        innerRadius,
+        thetaStart,
+        thetaLength,
+      });
+    }
+  } else if (typeof width === "number" && typeof height === "number") {
+    if (typeof extrusion === "undefined") {
+      geometry = new THREE.PlaneGeometry(
+        width,
+        height,
+        widthSegments,
+        heightSegments
+      );
+    } else {
+      flatShape = new THREE.Shape()
+        .moveTo(-0.5 * width, -0.5 * height)
+        .lineTo(0.5 * width, -0.5 * height)
+        .lineTo(0.5 * width, 0.5 * height)
+        .lineTo(-0.5 * width, 0.5 * height)
+        .closePath();
+    }
+  } else if (typeof shape === "function") {
+    flatShape = new THREE.Shape();
+    shape(flatShape);
+  } else {
+    return undefined;
+  }
+  if (typeof flatShape !== "undefined") {
+    geometry =
+      typeof extrusion === "undefined"
+        ? new THREE.ShapeGeometry(flatShape)
+        : new THREE.ExtrudeGeometry(flatShape, extrusion);
+    fitShapeUvs(geometry);
+  }
+  return geometry;
+}
+
+/**
+ * Render a 2D shape, flat or extruded into a lit 3D solid.
+ *
+ * @param {Object} options
+ * @param {Number} options.radius For regular polygon. Circle radius.
+ * @param {Number} options.segments For regular polygon. Number of segments (3 for triangle, 4 for square, 6 for hexagon, etc).
+ * @param {Number} options.innerRadius For regular polygon. Ring plane inner radius.
+ * @param {Number} options.phiSegments For regular polygon. Number of phi segments.
+ * @param {Number} options.thetaStart For regular polygon. Starting angle (between 0 and 2).
+ * @param {Number} options.thetaLength For regular polygon. Central angle (between 0 and 2).
+ * @param {Number} options.width For plane geometry. Width of the plane.
+ * @param {Number} options.height For plane geometry. Height of the plane.
+ * @param {Number} options.widthSegments For plane geometry. Number of segments on the width direction.
+ * @param {Number} options.heightSegments For plane geometry. Number of segments on the height direction.
+ * @param {drawShapeCallback} options.shape For any other shape, draw a shape procedurally using a callback function.
+ * @param {String} options.svg For SVG drawings. SVG markup, or SVG file URL.
+ * @param {(Boolean|Object)} options.extrude Extrude the shape: true, or extrusion options (depth, steps, curveSegments, bevelEnabled, bevelThickness, bevelSize, bevelOffset, bevelSegments).
+ * @param {Number} options.color Color of shape. Defaults to the theme shape color in themed scenes (see the applyTheme function), white otherwise. For SVG drawings, replace the fill and stroke colors.
+ * @param {String} options.texture Texture URL. Replace color.
+ * @param {MaterialOption} options.material Material of the shape (of the fills, for SVG drawings), replacing the default basic (or Phong, when extruded) material. The texture, if any, is its default map.
+ * @param {Number} options.scaleX Scale in X coordinate.
+ * @param {Number} options.scaleY Scale in Y coordinate.
+ * @param {Number} options.scaleZ Scale in Z coordinate.
+ * @param {Number} options.posX X coordinate position.
+ * @param {Number} options.posY Y coordinate position.
+ * @param {Number} options.posZ Z coordinate position.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {animationCallback} options.animate Animation callback.
+ * @returns {(THREE.Mesh|THREE.Group)} Shape object, or a group of meshes for SVG drawings.
+ * @throws {OptionsError} Invalid options (no radius, width and height, shape callback or SVG given).
+ * @throws {ParseError} SVG markup cannot be parsed.
+ *
+ * SVG drawings are centered on the position and keep their fill and stroke
+ * colors; strokes stay flat (on the front face when extruded). A drawing
+ * loaded from a URL is added to the returned group once loaded. A failed load
+ * dispatches an "error" event with its LoadError on the group, and can be
+ * retried (see the createLoadingOverlay function).
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/ShapeGeometry|ShapeGeometry}
+ * @see {@link https://threejs.org/docs/#api/en/geometries/RingGeometry|RingGeometry} For regular polygon.
+ * @see {@link https://threejs.org/docs/#api/en/geometries/PlaneGeometry|PlaneGeometry} For plane geometry.
+ * @see {@link https://threejs.org/docs/#api/en/geometries/ShapeGeometry|ShapeGeometry} For any other shape.
+ * @see {@link https://threejs.org/docs/#examples/en/loaders/SVGLoader|SVGLoader} For SVG drawings.
+ * @see {@link https://threejs.org/docs/#api/en/geometries/ExtrudeGeometry|ExtrudeGeometry} For extruded shapes.
+ */
+export function renderShape({
+  radius = undefined,
+  segments = 128,
+  innerRadius = 0,
+  phiSegments = 1,
+  thetaStart = 0,
+  thetaLength = 2,
+  width = undefined,
+  height = undefined,
+  widthSegments = 1,
+  heightSegments = 1,
+  shape = undefined,
+  svg = undefined,
+  extrude = false,
+  color = undefined,
+  texture = undefined,
+  material = undefined,
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "shape", ...nodeOptions(arguments[0]) };
+  if (
+    (typeof extrude !== "boolean" &&
+      (typeof extrude !== "object" || extrude === null)) ||
+    !validMaterial(material)
+  ) {
+    throw new OptionsError("Invalid options for 'renderShape' function.");
+  }
+  const extrusion =
+    extrude === false ? undefined : { ...shapeExtrusion, ...Object(extrude) };
+
+  if (typeof svg === "string") {
+    const group = new THREE.Group();
+    const assetManager = getAssets(scene);
+    let disposed = false;
+    const draw = function (data) {
+      group.add(
+        createSvgMeshes(data, { color, extrude: extrusion, material, scene })
+      );
+    };
+    const load = function () {
+      assetManager
+        .svg(svg)
+        .then(function (data) {
+          if (disposed) {
+            assetManager.release(data);
+            return;
+          }
+          addDisposer(group, function () {
+            assetManager.release(data);
+          });
+          draw(data);
+        })
+        .catch(function (error) {
+          if (!disposed) {
+            addRetry(resolveAssetUrl(svg), load);
+            group.dispatchEvent({ type: "error", error });
+          }
+        });
+    };
+    if (svg.trimStart().startsWith("<")) {
+      let data;
+      try {
+        data = new SVGLoader().parse(svg);
+      } catch (error) {
+        throw new ParseError("Failed to parse SVG markup.", { cause: error });
+      }
+      draw(data);
+    } else {
+      addDisposer(group, function () {
+        disposed = true;
+      });
+      load();
+    }
+    group.scale.set(scaleX, scaleY, scaleZ);
+    group.position.set(posX, posY, posZ);
+    group.userData.node = node;
+    if (typeof animate === "function") {
+      getAnimations(scene).add(group, animate);
+    }
+    if (scene instanceof THREE.Scene) {
+      scene.add(group);
+    }
+    return group;
+  }
+
+  const themeRole =
+    typeof color === "undefined" &&
+    typeof texture !== "string" &&
+    !(material instanceof THREE.Material)
+      ? "shape"
+      : undefined;
+  color = themeColor(scene, "shape", color);
+  const geometry = shapeGeometry(
+    {
+      radius,
+      segments,
+      innerRadius,
+      phiSegments,
+      thetaStart,
+      thetaLength,
+      width,
+      height,
+      widthSegments,
+      heightSegments,
+      shape,
+    },
+    extrusion
+  );
+  if (typeof geometry === "undefined") {
+    throw new OptionsError(
+      "Invalid options for 'renderShape' function: expected a radius, a width and height, a shape callback or an SVG."
+    );
+  }
+
+  const { material: shapeMaterial, textures } = createMaterial(
+    typeof material === "undefined"
+      ? { type: typeof extrusion === "undefined" ? "basic" : "phong" }
+      : material,
+    {
+      color: typeof texture === "string" ? undefined : color,
+      map: texture,
+      side: THREE.DoubleSide,
+      scene,
+      name: "renderShape",
+    }
+  );
+
+  const mesh = new THREE.Mesh(geometry, shapeMaterial);
+  mesh.scale.set(scaleX, scaleY, scaleZ);
+  mesh.position.set(posX, posY, posZ);
+  mesh.userData.node = node;
+  mesh.userData.themeRole = themeRole;
+  releaseTexturesWith(mesh, textures, scene);
+  if (typeof animate === "function") {
+    getAnimations(scene).add(mesh, animate);
+  }
+  if (scene instanceof THREE.Scene) {
+    scene.add(mesh);
+  }
+  return mesh;
+}
+
+/**
+ * Box face names, in the material order of BoxGeometry.
+ *
+ * @type {String[]}
+ */
+const boxFaces = ["px", "nx", "py", "ny", "pz", "nz"];
+
+/**
+ * Cylinder (and cone) face names, in the material order of CylinderGeometry.
+ *
+ * @type {String[]}
+ */
+const cylinderFaces = ["side", "top", "bottom"];
+
+/**
+ * Check the material options of a primitive.
+ *
+ * @param {Object} options Options of the render function.
+ * @param {String[]} options.textures Texture URLs.
+ * @param {MaterialOption} options.material Material of the faces.
+ * @param {Object<String, MaterialOption>} options.faces Materials by face name.
+ * @param {String[]} faceNames Face names of the primitive.
+ * @returns {Boolean} True if the options are valid.
+ */
+function validSolid(
+  { textures = [], material = undefined, faces = {} },
+  faceNames
+) {
+  return (
+    Array.isArray(textures) &&
+    validMaterial(material) &&
+    typeof faces === "object" &&
+    faces !== null &&
+    Object.keys(faces).every(function (face) {
+      return faceNames.includes(face) && validMaterial(faces[face]);
+    })
+  );
+}
+
+/**
+ * Tell whether the material options of a primitive override its color with
+ * textures, face materials or a material instance (which the theme leaves
+ * alone).
+ *
+ * @param {Object} options Options of the render function.
+ * @param {String[]} options.textures Texture URLs.
+ * @param {MaterialOption} options.material Material of the faces.
+ * @param {Object<String, MaterialOption>} options.faces Materials by face name.
+ * @returns {Boolean} True if the primitive color is overridden.
+ */
+function texturedSolid({ textures = [], material = undefined, faces = {} }) {
+  return (
+    textures.length > 0 ||
+    Object.keys(faces).length > 0 ||
+    material instanceof THREE.Material
+  );
+}
+
+/**
+ * Create the material (or the materials by face) of a solid primitive.
+ *
+ * Without face names the geometry takes a single material (and the first
+ * texture only). Textures without a material option are unlit.
+ *
+ * @param {Object} options Options of the render function.
+ * @param {Number} options.color Color of the primitive.
+ * @param {String[]} options.textures Texture URLs, repeated to cover the faces.
+ * @param {MaterialOption} options.material Material of the faces.
+ * @param {Object<String, MaterialOption>} options.faces Materials by face name.
+ * @param {Object} context
+ * @param {String[]} context.faceNames Face names, in the material order of the geometry groups.
+ * @param {THREE.Scene} context.scene Scene object (for its asset manager).
+ * @param {String} context.name Name of the render function, for errors.
+ * @returns {{material: (THREE.Material|THREE.Material[]), textures: THREE.Texture[]}} Material(s), and the textures to release with them.
+ */
+function solidMaterial(
+  { color, textures = [], material = undefined, faces = {} },
+  { faceNames, scene, name }
+) {
+  const faceTextures = [];
+  // Repeat the texture list to cover the faces.
+  const paths = Array(Math.max(faceNames.length, 1))
+    .fill(textures)
+    .flat()
+    .slice(0, Math.max(faceNames.length, 1));
+  const faceMaterial = function (option, path) {
+    if (typeof option !== "undefined") {
+      const created = createMaterial(option, {
+        color: typeof path === "undefined" ? color : undefined,
+        map: path,
+        scene,
+        name,
+      });
+      faceTextures.push(...created.textures);
+      return created.material;
+    } else if (typeof path !== "undefined") {
+      const texture = getAssets(scene).texture(path);
+      faceTextures.push(texture);
+      return new THREE.MeshBasicMaterial({ map: texture });
+    }
+    return new THREE.MeshPhongMaterial({ color });
+  };
+  return {
+    material:
+      faceNames.length > 0 &&
+      (paths.length > 0 || Object.keys(faces).length > 0)
+        ? faceNames.map(function (face, index) {
+            return faceMaterial(
+              Object.hasOwn(faces, face) ? faces[face] : material,
+              paths[index]
+            );
+          })
+        : faceMaterial(material, paths[0]),
+    textures: faceTextures,
+  };
+}
+
+/**
+ * Options shared by the solid primitive render functions (renderSphere,
+ * renderCylinder, renderCone, renderTorus, renderTorusKnot, renderLathe and
+ * renderTube).
+ *
+ * Textures without a material render unlit. A primitive with face names
+ * (cylinder and cone) repeats the textures to cover its faces and takes
+ * materials by face name; the others use the first texture only.
+ *
+ * @typedef {Object} SolidOptions
+ * @property {Number} color Color of the primitive. Defaults to the theme box color in themed scenes (see the applyTheme function), white otherwise.
+ * @property {Boolean} isSolid If true, render a solid primitive instead of a line frame.
+ * @property {String[]} textures Texture URLs.
+ * @property {MaterialOption} material Material of the primitive. With textures, each face uses the material with its texture as map.
+ * @property {Number} scaleX Scale in X coordinate.
+ * @property {Number} scaleY Scale in Y coordinate.
+ * @property {Number} scaleZ Scale in Z coordinate.
+ * @property {Number} posX X coordinate position.
+ * @property {Number} posY Y coordinate position.
+ * @property {Number} posZ Z coordinate position.
+ * @property {THREE.Scene} scene Scene object.
+ * @property {animationCallback} animate Animation callback.
+ */
+
+/**
+ * Build a solid (or line frame) primitive from its geometry and the common
+ * options of the primitive render functions, then add it to the scene. In
+ * line frame mode the geometry is replaced by its edges.
+ *
+ * @param {THREE.BufferGeometry} geometry Primitive geometry.
+ * @param {Object} options Options of the render function.
+ * @param {Object} options.node Scene description node of the primitive.
+ * @param {String} options.name Name of the render function, for errors.
+ * @param {String[]} options.faceNames Face names, in the material order of the geometry groups.
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Primitive object.
+ * @throws {OptionsError} Invalid options.
+ */
+function renderSolid(
+  geometry,
+  {
+    node,
+    name,
+    faceNames = [],
+    color = undefined,
+    isSolid = true,
+    textures = [],
+    material = undefined,
+    faces = {},
+    scaleX = 1,
+    scaleY = 1,
+    scaleZ = 1,
+    posX = 0,
+    posY = 0,
+    posZ = 0,
+    scene = undefined,
+    animate = undefined,
+  }
+) {
+  if (!validSolid({ textures, material, faces }, faceNames)) {
+    geometry.dispose();
+    throw new OptionsError(`Invalid options for '${name}' function.`);
+  }
+  const themeRole =
+    typeof color === "undefined" &&
+    (isSolid !== true || !texturedSolid({ textures, material, faces }))
+      ? "box"
+      : undefined;
+  color = themeColor(scene, "box", color);
+  let faceTextures = [];
+  let solid;
+  if (isSolid === true) {
+    const created = solidMaterial(
+      { color, textures, material, faces },
+      { faceNames, scene, name }
+    );
+    faceTextures = created.textures;
+    solid = new THREE.Mesh(geometry, created.material);
+  } else {
+    solid = new THREE.LineSegments(
+      new THREE.EdgesGeometry(geometry),
+      new THREE.LineBasicMaterial({ color })
+    );
+    geometry.dispose();
+  }
+
+  solid.scale.set(scaleX, scaleY, scaleZ);
+  solid.position.set(posX, posY, posZ);
+  solid.userData.node = node;
+  solid.userData.themeRole = themeRole;
+  releaseTexturesWith(solid, faceTextures, scene);
+  if (typeof animate === "function") {
+    getAnimations(scene).add(solid, animate);
+  }
+  if (scene instanceof THREE.Scene) {
+    scene.add(solid);
+  }
+  return solid;
+}
+
+/**
+ * Render a box.
+ *
+ * @param {Object} options
+ * @param {Number} options.width Width of the box.
+ * @param {Number} options.height Height of the box.
+ * @param {Number} options.depth Depth of the box.
+ * @param {Number} options.widthSegments Number of segments along the width.
+ * @param {Number} options.heightSegments Number of segments along the height.
+ * @param {Number} options.depthSegments Number of segments along the depth.
+ * @param {Number} options.color Color of box. Defaults to the theme box color in themed scenes (see the applyTheme function), white otherwise.
+ * @param {Boolean} options.isSolid If true, render a solid box instead of a line frame.
+ * @param {String[]} options.textures Array of texture URLs, repeated to cover the six faces.
+ * @param {MaterialOption} options.material Material of the faces. With textures, each face uses the material with its texture as map.
+ * @param {Object<String, MaterialOption>} options.faces Materials by face name ("px", "nx", "py", "ny", "pz" or "nz"), overriding the material option.
+ * @param {Number} options.scaleX Scale in X coordinate.
+ * @param {Number} options.scaleY Scale in Y coordinate.
+ * @param {Number} options.scaleZ Scale in Z coordinate.
+ * @param {Number} options.posX X coordinate position.
+ * @param {Number} options.posY Y coordinate position.
+ * @param {Number} options.posZ Z coordinate position.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {animationCallback} options.animate Animation callback.
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Box object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * Textures without a material render unlit.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/BoxGeometry|BoxGeometry}
+ */
+export function renderBox({
+  width = 10,
+  height = 10,
+  depth = 10,
+  widthSegments = 1,
+  heightSegments = 1,
+  depthSegments = 1,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  faces = {},
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "box", ...nodeOptions(arguments[0]) };
+  if (
+    [width, height, depth].some(function (size) {
+      return typeof size !== "number" || size <= 0;
+    })
+  ) {
+    throw new OptionsError("Invalid options for 'renderBox' function.");
+  }
+  const geometry = new THREE.BoxGeometry(
+    width,
+    height,
+    depth,
+    widthSegments,
+    heightSegments,
+    depthSegments
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderBox",
+    faceNames: boxFaces,
+    faces,
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Render a sphere.
+ *
+ * @param {Object} options Sphere options, along with the solid primitive options (see SolidOptions).
+ * @param {Number} options.radius Radius of the sphere.
+ * @param {Number} options.widthSegments Number of horizontal segments.
+ * @param {Number} options.heightSegments Number of vertical segments.
+ * @param {Number} options.phiStart Horizontal starting angle (between 0 and 2).
+ * @param {Number} options.phiLength Horizontal sweep angle (between 0 and 2).
+ * @param {Number} options.thetaStart Vertical starting angle (between 0 and 1).
+ * @param {Number} options.thetaLength Vertical sweep angle (between 0 and 1).
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Sphere object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/SphereGeometry|SphereGeometry}
+ */
+export function renderSphere({
+  radius = 5,
+  widthSegments = 32,
+  heightSegments = 16,
+  phiStart = 0,
+  phiLength = 2,
+  thetaStart = 0,
+  thetaLength = 1,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "sphere", ...nodeOptions(arguments[0]) };
+  if (typeof radius !== "number" || radius <= 0) {
+    throw new OptionsError("Invalid options for 'renderSphere' function.");
+  }
+  const geometry = new THREE.SphereGeometry(
+    radius,
+    widthSegments,
+    heightSegments,
+    phiStart * Math.PI,
+    phiLength * Math.PI,
+    thetaStart * Math.PI,
+    thetaLength * Math.PI
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderSphere",
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Render a cylinder, or a truncated cone when the top and bottom radii differ.
+ *
+ * @param {Object} options Cylinder options, along with the solid primitive options (see SolidOptions).
+ * @param {Number} options.radiusTop Radius of the top.
+ * @param {Number} options.radiusBottom Radius of the bottom.
+ * @param {Number} options.height Height of the cylinder.
+ * @param {Number} options.radialSegments Number of segments around the circumference.
+ * @param {Number} options.heightSegments Number of segments along the height.
+ * @param {Boolean} options.openEnded If true, leave the top and bottom open.
+ * @param {Number} options.thetaStart Starting angle (between 0 and 2).
+ * @param {Number} options.thetaLength Central angle (between 0 and 2).
+ * @param {Object<String, MaterialOption>} options.faces Materials by face name ("side", "top" or "bottom"), overriding the material option.
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Cylinder object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/CylinderGeometry|CylinderGeometry}
+ */
+export function renderCylinder({
+  radiusTop = 5,
+  radiusBottom = 5,
+  height = 10,
+  radialSegments = 32,
+  heightSegments = 1,
+  openEnded = false,
+  thetaStart = 0,
+  thetaLength = 2,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  faces = {},
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "cylinder", ...nodeOptions(arguments[0]) };
+  if (
+    [radiusTop, radiusBottom].some(function (size) {
+      return typeof size !== "number" || size < 0;
+    }) ||
+    radiusTop + radiusBottom === 0 ||
+    typeof height !== "number" ||
+    height <= 0
+  ) {
+    throw new OptionsError("Invalid options for 'renderCylinder' function.");
+  }
+  const geometry = new THREE.CylinderGeometry(
+    radiusTop,
+    radiusBottom,
+    height,
+    radialSegments,
+    heightSegments,
+    openEnded,
+    thetaStart * Math.PI,
+    thetaLength * Math.PI
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderCylinder",
+    faceNames: cylinderFaces,
+    faces,
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Render a cone.
+ *
+ * @param {Object} options Cone options, along with the solid primitive options (see SolidOptions).
+ * @param {Number} options.radius Radius of the base.
+ * @param {Number} options.height Height of the cone.
+ * @param {Number} options.radialSegments Number of segments around the circumference.
+ * @param {Number} options.heightSegments Number of segments along the height.
+ * @param {Boolean} options.openEnded If true, leave the base open.
+ * @param {Number} options.thetaStart Starting angle (between 0 and 2).
+ * @param {Number} options.thetaLength Central angle (between 0 and 2).
+ * @param {Object<String, MaterialOption>} options.faces Materials by face name ("side" or "bottom"), overriding the material option.
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Cone object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/ConeGeometry|ConeGeometry}
+ */
+export function renderCone({
+  radius = 5,
+  height = 10,
+  radialSegments = 32,
+  heightSegments = 1,
+  openEnded = false,
+  thetaStart = 0,
+  thetaLength = 2,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  faces = {},
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "cone", ...nodeOptions(arguments[0]) };
+  if (
+    [radius, height].some(function (size) {
+      return typeof size !== "number" || size <= 0;
+    })
+  ) {
+    throw new OptionsError("Invalid options for 'renderCone' function.");
+  }
+  const geometry = new THREE.ConeGeometry(
+    radius,
+    height,
+    radialSegments,
+    heightSegments,
+    openEnded,
+    thetaStart * Math.PI,
+    thetaLength * Math.PI
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderCone",
+    faceNames: cylinderFaces,
+    faces,
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Render a torus.
+ *
+ * @param {Object} options Torus options, along with the solid primitive options (see SolidOptions).
+ * @param {Number} options.radius Radius from the center of the torus to the center of the tube.
+ * @param {Number} options.tube Radius of the tube.
+ * @param {Number} options.radialSegments Number of segments around the tube.
+ * @param {Number} options.tubularSegments Number of segments along the tube.
+ * @param {Number} options.arc Central angle (between 0 and 2).
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Torus object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/TorusGeometry|TorusGeometry}
+ */
+export function renderTorus({
+  radius = 10,
+  tube = 3,
+  radialSegments = 16,
+  tubularSegments = 64,
+  arc = 2,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "torus", ...nodeOptions(arguments[0]) };
+  if (
+    [radius, tube].some(function (size) {
+      return typeof size !== "number" || size <= 0;
+    })
+  ) {
+    throw new OptionsError("Invalid options for 'renderTorus' function.");
+  }
+  const geometry = new THREE.TorusGeometry(
+    radius,
+    tube,
+    radialSegments,
+    tubularSegments,
+    arc * Math.PI
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderTorus",
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Render a torus knot.
+ *
+ * @param {Object} options Torus knot options, along with the solid primitive options (see SolidOptions).
+ * @param {Number} options.radius Radius of the torus knot.
+ * @param {Number} options.tube Radius of the tube.
+ * @param {Number} options.tubularSegments Number of segments along the tube.
+ * @param {Number} options.radialSegments Number of segments around the tube.
+ * @param {Number} options.p Number of times the knot winds around its axis of rotational symmetry.
+ * @param {Number} options.q Number of times the knot winds around a circle in its interior.
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Torus knot object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/TorusKnotGeometry|TorusKnotGeometry}
+ */
+export function renderTorusKnot({
+  radius = 10,
+  tube = 3,
+  tubularSegments = 64,
+  radialSegments = 8,
+  p = 2,
+  q = 3,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "torusKnot", ...nodeOptions(arguments[0]) };
+  if (
+    [radius, tube].some(function (size) {
+      return typeof size !== "number" || size <= 0;
+    })
+  ) {
+    throw new OptionsError("Invalid options for 'renderTorusKnot' function.");
+  }
+  const geometry = new THREE.TorusKnotGeometry(
+    radius,
+    tube,
+    tubularSegments,
+    radialSegments,
+    p,
+    q
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderTorusKnot",
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Render a lathe: a profile revolved around the Y axis (vases, bottles,
+ * chess pieces, etc).
+ *
+ * @param {Object} options Lathe options, along with the solid primitive options (see SolidOptions).
+ * @param {Number[][]} options.points Profile points as [x, y] pairs, x being the distance to the Y axis.
+ * @param {Number} options.segments Number of circumference segments.
+ * @param {Number} options.phiStart Starting angle (between 0 and 2).
+ * @param {Number} options.phiLength Central angle (between 0 and 2).
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Lathe object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/LatheGeometry|LatheGeometry}
+ */
+export function renderLathe({
+  points = [],
+  segments = 12,
+  phiStart = 0,
+  phiLength = 2,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "lathe", ...nodeOptions(arguments[0]) };
+  if (!validPoints(points, 2) || points.length < 2) {
+    throw new OptionsError("Invalid options for 'renderLathe' function.");
+  }
+  const geometry = new THREE.LatheGeometry(
+    points.map(function ([x, y]) {
+      return new THREE.Vector2(x, y);
+    }),
+    segments,
+    phiStart * Math.PI,
+    phiLength * Math.PI
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderLathe",
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Render a tube along a smooth path through the given points.
+ *
+ * @param {Object} options Tube options, along with the solid primitive options (see SolidOptions).
+ * @param {Number[][]} options.path Path points as [x, y, z] triples.
+ * @param {Boolean} options.closed If true, close the path into a loop.
+ * @param {String} options.curveType Path curve type: "centripetal", "chordal" or "catmullrom".
+ * @param {Number} options.tension Path tension of the "catmullrom" curve type.
+ * @param {Number} options.radius Radius of the tube.
+ * @param {Number} options.tubularSegments Number of segments along the tube.
+ * @param {Number} options.radialSegments Number of segments around the tube.
+ * @returns {(THREE.Mesh|THREE.LineSegments)} Tube object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/geometries/TubeGeometry|TubeGeometry}
+ * @see {@link https://threejs.org/docs/#api/en/extras/curves/CatmullRomCurve3|CatmullRomCurve3}
+ */
+export function renderTube({
+  path = [],
+  closed = false,
+  curveType = "centripetal",
+  tension = 0.5,
+  radius = 1,
+  tubularSegments = 64,
+  radialSegments = 8,
+  color = undefined,
+  isSolid = true,
+  textures = [],
+  material = undefined,
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "tube", ...nodeOptions(arguments[0]) };
+  if (
+    !validPoints(path, 3) ||
+    path.length < 2 ||
+    !["centripetal", "chordal", "catmullrom"].includes(curveType) ||
+    typeof radius !== "number" ||
+    radius <= 0
+  ) {
+    throw new OptionsError("Invalid options for 'renderTube' function.");
+  }
+  const curve = new THREE.CatmullRomCurve3(
+    path.map(function (point) {
+      return new THREE.Vector3(...point);
+    }),
+    closed,
+    curveType,
+    tension
+  );
+  const geometry = new THREE.TubeGeometry(
+    curve,
+    tubularSegments,
+    radius,
+    radialSegments,
+    closed
+  );
+  return renderSolid(geometry, {
+    node,
+    name: "renderTube",
+    color,
+    isSolid,
+    textures,
+    material,
+    scaleX,
+    scaleY,
+    scaleZ,
+    posX,
+    posY,
+    posZ,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Check a list of points given as coordinate arrays.
+ *
+ * @param {Number[][]} points Points.
+ * @param {Number} dimensions Number of coordinates of each point.
+ * @returns {Boolean} True if every point has the expected number of coordinates.
+ */
+function validPoints(points, dimensions) {
+  return (
+    Array.isArray(points) &&
+    points.every(function (point) {
+      return (
+        Array.isArray(point) &&
+        point.length === dimensions &&
+        point.every(Number.isFinite)
+      );
+    })
+  );
+}
+
+/**
+ * Per-instance options of the batch render functions (renderBoxes and
+ * renderShapes). Rotations are in radians.
+ *
+ * @typedef {Object} InstanceOptions
+ * @property {Number} posX X coordinate position.
+ * @property {Number} posY Y coordinate position.
+ * @property {Number} posZ Z coordinate position.
+ * @property {Number} rotX Rotation around the X axis.
+ * @property {Number} rotY Rotation around the Y axis.
+ * @property {Number} rotZ Rotation around the Z axis.
+ * @property {Number} scaleX Scale in X coordinate.
+ * @property {Number} scaleY Scale in Y coordinate.
+ * @property {Number} scaleZ Scale in Z coordinate.
+ * @property {Number} color Instance color, tinting the batch color.
+ * @property {Boolean} visible If false, hide the instance.
+ */
+
+/**
+ * Live state of an instance of a batch, passed to the instance animation
+ * callback. Changes are applied to the batch after the callbacks run (or on
+ * the next updateInstances call).
+ *
+ * @typedef {Object} Instance
+ * @property {THREE.Vector3} position Instance position.
+ * @property {THREE.Euler} rotation Instance rotation.
+ * @property {THREE.Vector3} scale Instance scale.
+ * @property {THREE.Color} color Instance color, tinting the batch color.
+ * @property {Boolean} visible If false, the instance is hidden.
+ */
+
+/**
+ * A callback definition to animate each instance of a batch. The callbacks
+ * of a batch run in a single animation, then the batch is updated once.
+ *
+ * @callback instanceAnimationCallback
+ * @param {Instance} instance Instance to animate.
+ * @param {Number} delta Delta time.
+ * @param {Number} index Instance index.
+ * @param {Number} count Number of instances.
+ *
+ * @example
+ * function (instance, delta, index, count) {
+ *   // Wave along the batch.
+ *   instance.position.y = Math.sin(performance.now() / 500 + index);
+ * }
+ */
+
+/**
+ * A batch object: an instanced mesh drawing every instance in one call.
+ * Interaction events on a batch carry the hit instance index (instanceId).
+ *
+ * @typedef {THREE.InstancedMesh} BatchObject
+ * @property {Function} getInstance Return the live state of an instance by index.
+ * @property {Function} setInstance Update an instance by index with instance options (position, rotation, scale, color or visibility).
+ * @property {Function} updateInstances Apply the changes made to the live instance states.
+ * @property {Function} highlightInstance Add a color to an instance color by index (used by the interaction layer), or remove the highlight given a null index.
+ */
+
+/**
+ * Live instance states of the batch objects.
+ *
+ * @type {WeakMap<THREE.InstancedMesh, Instance[]>}
+ */
+const batchInstances = new WeakMap();
+
+/**
+ * Check the per-instance options of a batch.
+ *
+ * @param {InstanceOptions[]} instances Per-instance options.
+ * @returns {Boolean} True if the options are valid.
+ */
+function validInstances(instances) {
+  return (
+    Array.isArray(instances) &&
+    instances.length > 0 &&
+    instances.every(function (instance) {
+      return typeof instance === "object" && instance !== null;
+    })
+  );
+}
+
+/**
+ * Apply instance options to the live state of an instance.
+ *
+ * @param {Instance} state Live instance state.
+ * @param {InstanceOptions} options Instance options to apply.
+ */
+function applyInstance(state, options) {
+  const value = function (name, current) {
+    return typeof options[name] === "undefined" ? current : options[name];
+  };
+  state.position.set(
+    value("posX", state.position.x),
+    value("posY", state.position.y),
+    value("posZ", state.position.z)
+  );
+  state.rotation.set(
+    value("rotX", state.rotation.x),
+    value("rotY", state.rotation.y),
+    value("rotZ", state.rotation.z)
+  );
+  state.scale.set(
+    value("scaleX", state.scale.x),
+    value("scaleY", state.scale.y),
+    value("scaleZ", state.scale.z)
+  );
+  if (typeof options.color !== "undefined") {
+    state.color.set(options.color);
+  }
+  state.visible = value("visible", state.visible);
+}
+
+/**
+ * Read the instance options of the live state of an instance (for the scene
+ * description).
+ *
+ * @param {Instance} state Live instance state.
+ * @returns {InstanceOptions} Instance options.
+ */
+function instanceOptions(state) {
+  return {
+    posX: state.position.x,
+    posY: state.position.y,
+    posZ: state.position.z,
+    rotX: state.rotation.x,
+    rotY: state.rotation.y,
+    rotZ: state.rotation.z,
+    scaleX: state.scale.x,
+    scaleY: state.scale.y,
+    scaleZ: state.scale.z,
+    color: state.color.getHex(),
+    visible: state.visible,
+  };
+}
+
+/**
+ * Build a batch object from a geometry, a material and per-instance options,
+ * then add it to the scene. Hidden instances are collapsed to a zero scale
+ * and ignored by raycasting.
+ *
+ * @param {THREE.BufferGeometry} geometry Geometry shared by the instances.
+ * @param {(THREE.Material|THREE.Material[])} material Material(s) shared by the instances.
+ * @param {Object} options
+ * @param {InstanceOptions[]} options.instances Per-instance options.
+ * @param {Object} options.node Scene description node of the batch.
+ * @param {String} options.themeRole Theme role of the batch material, if themed.
+ * @param {THREE.Texture[]} options.textures Textures to release with the batch.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {instanceAnimationCallback} options.animate Instance animation callback.
+ * @returns {BatchObject} Batch object.
+ */
+function renderInstances(
+  geometry,
+  material,
+  { instances, node, themeRole, textures, scene, animate }
+) {
+  const batch = new THREE.InstancedMesh(geometry, material, instances.length);
+  const states = instances.map(function (options) {
+    const state = {
+      position: new THREE.Vector3(),
+      rotation: new THREE.Euler(),
+      scale: new THREE.Vector3(1, 1, 1),
+      color: new THREE.Color(0xffffff),
+      visible: true,
+    };
+    applyInstance(state, options);
+    return state;
+  });
+  const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+  const matrix = new THREE.Matrix4();
+  const quaternion = new THREE.Quaternion();
+  const color = new THREE.Color();
+  let highlight = null;
+  const write = function (index) {
+    const state = states[index];
+    batch.setMatrixAt(
+      index,
+      state.visible
+        ? matrix.compose(
+            state.position,
+            quaternion.setFromEuler(state.rotation),
+            state.scale
+          )
+        : hidden
+    );
+    color.copy(state.color);
+    if (highlight !== null && highlight.index === index) {
+      color.add(highlight.color);
+    }
+    batch.setColorAt(index, color);
+  };
+  const commit = function () {
+    batch.instanceMatrix.needsUpdate = true;
+    batch.instanceColor.needsUpdate = true;
+    // Recomputed on demand by the renderer (frustum culling) and raycasting.
+    batch.boundingBox = null;
+    batch.boundingSphere = null;
+  };
+  states.forEach(function (state, index) {
+    write(index);
+  });
+  commit();
+
+  batch.getInstance = function (index) {
+    return states[index];
+  };
+  batch.setInstance = function (index, options) {
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      index >= states.length ||
+      typeof options !== "object" ||
+      options === null
+    ) {
+      throw new OptionsError("Invalid options for 'setInstance' function.");
+    }
+    applyInstance(states[index], options);
+    write(index);
+    commit();
+  };
+  batch.updateInstances = function () {
+    states.forEach(function (state, index) {
+      write(index);
+    });
+    commit();
+  };
+  batch.highlightInstance = function (index, value) {
+    const previous = highlight;
+    highlight =
+      index === null ? null : { index, color: new THREE.Color(value) };
+    [previous, highlight].forEach(function (entry) {
+      if (entry !== null && entry.index < states.length) {
+        write(entry.index);
+      }
+    });
+    batch.instanceColor.needsUpdate = true;
+  };
+  batch.raycast = function (raycaster, intersects) {
+    const start = intersects.length;
+    THREE.InstancedMesh.prototype.raycast.call(this, raycaster, intersects);
+    const hits = intersects.splice(start).filter(function (hit) {
+      return states[hit.instanceId].visible;
+    });
+    intersects.push(...hits);
+  };
+  batchInstances.set(batch, states);
+
+  batch.userData.node = node;
+  batch.userData.themeRole = themeRole;
+  releaseTexturesWith(batch, textures, scene);
+  addDisposer(batch, function () {
+    batchInstances.delete(batch);
+    batch.dispose();
+  });
+  if (typeof animate === "function") {
+    getAnimations(scene).add(batch, function (element, delta) {
+      states.forEach(function (state, index) {
+        animate(state, delta, index, states.length);
+      });
+      batch.updateInstances();
+    });
+  }
+  if (scene instanceof THREE.Scene) {
+    scene.add(batch);
+  }
+  return batch;
+}
+
+/**
+ * Render a batch of boxes sharing their size and material in a single draw
+ * call, for large numbers of boxes (grids, fields, data visualizations).
+ *
+ * @param {Object} options
+ * @param {InstanceOptions[]} options.instances Per-instance position, rotation, scale, color and visibility.
+ * @param {Number} options.width Width of the boxes.
+ * @param {Number} options.height Height of the boxes.
+ * @param {Number} options.depth Depth of the boxes.
+ * @param {Number} options.widthSegments Number of segments along the width.
+ * @param {Number} options.heightSegments Number of segments along the height.
+ * @param {Number} options.depthSegments Number of segments along the depth.
+ * @param {Number} options.color Color of the boxes, tinted by the instance colors. Defaults to the theme box color in themed scenes (see the applyTheme function), white otherwise.
+ * @param {String[]} options.textures Array of texture URLs, repeated to cover the six faces.
+ * @param {MaterialOption} options.material Material of the faces. With textures, each face uses the material with its texture as map.
+ * @param {Object<String, MaterialOption>} options.faces Materials by face name ("px", "nx", "py", "ny", "pz" or "nz"), overriding the material option.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {instanceAnimationCallback} options.animate Animation callback, called for each instance.
+ * @returns {BatchObject} Batch object.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#api/en/objects/InstancedMesh|InstancedMesh}
+ */
+export function renderBoxes({
+  instances = [],
+  width = 10,
+  height = 10,
+  depth = 10,
+  widthSegments = 1,
+  heightSegments = 1,
+  depthSegments = 1,
+  color = undefined,
+  textures = [],
+  material = undefined,
+  faces = {},
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "boxes", ...nodeOptions(arguments[0]) };
+  if (
+    !validInstances(instances) ||
+    [width, height, depth].some(function (size) {
+      return typeof size !== "number" || size <= 0;
+    }) ||
+    !validSolid({ textures, material, faces }, boxFaces)
+  ) {
+    throw new OptionsError("Invalid options for 'renderBoxes' function.");
+  }
+  const themeRole =
+    typeof color === "undefined" &&
+    !texturedSolid({ textures, material, faces })
+      ? "box"
+      : undefined;
+  const created = solidMaterial(
+    { color: themeColor(scene, "box", color), textures, material, faces },
+    { faceNames: boxFaces, scene, name: "renderBoxes" }
+  );
+  return renderInstances(
+    new THREE.BoxGeometry(
+      width,
+      height,
+      depth,
+      widthSegments,
+      heightSegments,
+      depthSegments
+    ),
+    created.material,
+    {
+      instances,
+      node,
+      themeRole,
+      textures: created.textures,
+      scene,
+      animate,
+    }
+  );
+}
+
+/**
+ * Render a batch of 2D shapes (regular polygons, planes or drawn shapes,
+ * flat or extruded) sharing their geometry and material in a single draw
+ * call.
+ *
+ * @param {Object} options
+ * @param {InstanceOptions[]} options.instances Per-instance position, rotation, scale, color and visibility.
  * @param {Number} options.radius For regular polygon. Circle radius.
  * @param {Number} options.segments For regular polygon. Number of segments (3 for triangle, 4 for square, 6 for hexagon, etc).
  * @param {Number} options.innerRadius For regular polygon. Ring plane inner radius.
@@ -356,265 +6596,1120 @@ export async function renderText({
  * @param {Number} options.widthSegments For plane geometry. Number of segments on the width direction.
  * @param {Number} options.heightSegments For plane geometry. Number of segments on the height direction.
  * @param {drawShapeCallback} options.shape For any other shape, draw a shape procedurally using a callback function.
- * @param {Number} options.color Color of shape.
+ * @param {(Boolean|Object)} options.extrude Extrude the shapes: true, or extrusion options (see the renderShape function).
+ * @param {Number} options.color Color of the shapes, tinted by the instance colors. Defaults to the theme shape color in themed scenes (see the applyTheme function), white otherwise.
  * @param {String} options.texture Texture URL. Replace color.
+ * @param {MaterialOption} options.material Material of the shapes, replacing the default basic (or Phong, when extruded) material. The texture, if any, is its default map.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {instanceAnimationCallback} options.animate Animation callback, called for each instance.
+ * @returns {BatchObject} Batch object.
+ * @throws {OptionsError} Invalid options (no instances, or no radius, width and height or shape callback given).
+ *
+ * @see {@link https://threejs.org/docs/#api/en/objects/InstancedMesh|InstancedMesh}
+ */
+export function renderShapes({
+  instances = [],
+  radius = undefined,
+  segments = 128,
+  innerRadius = 0,
+  phiSegments = 1,
+  thetaStart = 0,
+  thetaLength = 2,
+  width = undefined,
+  height = undefined,
+  widthSegments = 1,
+  heightSegments = 1,
+  shape = undefined,
+  extrude = false,
+  color = undefined,
+  texture = undefined,
+  material = undefined,
+  scene = undefined,
+  animate = undefined,
+}) {
+  const node = { type: "shapes", ...nodeOptions(arguments[0]) };
+  if (
+    !validInstances(instances) ||
+    (typeof extrude !== "boolean" &&
+      (typeof extrude !== "object" || extrude === null)) ||
+    !validMaterial(material)
+  ) {
+    throw new OptionsError("Invalid options for 'renderShapes' function.");
+  }
+  const extrusion =
+    extrude === false ? undefined : { ...shapeExtrusion, ...Object(extrude) };
+  const geometry = shapeGeometry(
+    {
+      radius,
+      segments,
+      innerRadius,
+      phiSegments,
+      thetaStart,
+      thetaLength,
+      width,
+      height,
+      widthSegments,
+      heightSegments,
+      shape,
+    },
+    extrusion
+  );
+  if (typeof geometry === "undefined") {
+    throw new OptionsError(
+      "Invalid options for 'renderShapes' function: expected a radius, a width and height or a shape callback."
+    );
+  }
+  const themeRole =
+    typeof color === "undefined" &&
+    typeof texture !== "string" &&
+    !(material instanceof THREE.Material)
+      ? "shape"
+      : undefined;
+  const created = createMaterial(
+    typeof material === "undefined"
+      ? { type: typeof extrusion === "undefined" ? "basic" : "phong" }
+      : material,
+    {
+      color:
+        typeof texture === "string"
+          ? undefined
+          : themeColor(scene, "shape", color),
+      map: texture,
+      side: THREE.DoubleSide,
+      scene,
+      name: "renderShapes",
+    }
+  );
+  return renderInstances(geometry, created.material, {
+    instances,
+    node,
+    themeRole,
+    textures: created.textures,
+    scene,
+    animate,
+  });
+}
+
+/**
+ * Loop modes accepted by the GLTF animation controller.
+ *
+ * @type {Object<String, Number>}
+ */
+const loopModes = {
+  repeat: THREE.LoopRepeat,
+  once: THREE.LoopOnce,
+  pingpong: THREE.LoopPingPong,
+};
+
+/**
+ * Callback function called when a clip played once (or a set number of
+ * repetitions) finishes.
+ *
+ * @callback clipFinishedCallback
+ * @param {String} name Clip name.
+ * @param {THREE.AnimationAction} action Finished clip action.
+ */
+
+/**
+ * Animation clip controller of a GLTF model. The mixer is advanced by the
+ * render loop of the scene the model is rendered in.
+ *
+ * @typedef {Object} AnimationController
+ * @property {THREE.AnimationMixer} mixer Animation mixer.
+ * @property {String[]} clips Clip names.
+ * @property {Function} play Play a clip by name (every clip when omitted). Return the clip action(s).
+ * @property {Function} stop Stop a clip by name (every clip when omitted).
+ * @property {Function} crossFadeTo Fade the playing clips out and a clip in. Return the clip action.
+ * @property {Function} setSpeed Set the speed of a clip by name (of the mixer when omitted).
+ * @property {Function} isPlaying Return true if a clip (any clip when omitted) is playing.
+ */
+
+/**
+ * Create the animation clip controller of a GLTF model.
+ *
+ * Play options: "loop" ("repeat", "once" or "pingpong"), "repetitions",
+ * "fadeIn" duration in seconds and an "onFinished" callback. A clip played
+ * "once" stays on its last frame when finished.
+ *
+ * @param {THREE.Object3D} root Model root object.
+ * @param {THREE.AnimationClip[]} animations Model animation clips.
+ * @returns {AnimationController} Animation controller.
+ * @throws {OptionsError} Unknown clip name or loop mode.
+ */
+function createAnimationController(root, animations) {
+  const mixer = new THREE.AnimationMixer(root);
+  const finishedCallbacks = new Map();
+
+  mixer.addEventListener("finished", function (event) {
+    const callback = finishedCallbacks.get(event.action);
+    if (typeof callback === "function") {
+      finishedCallbacks.delete(event.action);
+      callback(event.action.getClip().name, event.action);
+    }
+  });
+
+  const action = function (name, functionName) {
+    const clip = THREE.AnimationClip.findByName(animations, name);
+    if (clip === null) {
+      throw new OptionsError(
+        `Invalid options for '${functionName}' animation function.`
+      );
+    }
+    return mixer.clipAction(clip);
+  };
+  const actions = function () {
+    return animations.map(function (clip) {
+      return mixer.clipAction(clip);
+    });
+  };
+  const configure = function (
+    clipAction,
+    functionName,
+    {
+      loop = "repeat",
+      repetitions = Infinity,
+      fadeIn = 0,
+      onFinished = undefined,
+    }
+  ) {
+    if (!Object.hasOwn(loopModes, loop)) {
+      throw new OptionsError(
+        `Invalid options for '${functionName}' animation function.`
+      );
+    }
+    clipAction.setLoop(loopModes[loop], repetitions);
+    clipAction.clampWhenFinished = loop === "once";
+    if (typeof onFinished === "function") {
+      finishedCallbacks.set(clipAction, onFinished);
+    } else {
+      finishedCallbacks.delete(clipAction);
+    }
+    clipAction.reset();
+    if (fadeIn > 0) {
+      clipAction.fadeIn(fadeIn);
+    }
+    return clipAction;
+  };
+
+  const play = function (name = undefined, options = {}) {
+    if (typeof name === "undefined") {
+      return actions().map(function (clipAction) {
+        return configure(clipAction, "play", options).play();
+      });
+    }
+    return configure(action(name, "play"), "play", options).play();
+  };
+
+  const stop = function (name = undefined) {
+    const stopped =
+      typeof name === "undefined" ? actions() : [action(name, "stop")];
+    stopped.forEach(function (clipAction) {
+      finishedCallbacks.delete(clipAction);
+      clipAction.stop();
+    });
+  };
+
+  const crossFadeTo = function (name, { duration = 0.5, ...options } = {}) {
+    const next = action(name, "crossFadeTo");
+    actions().forEach(function (clipAction) {
+      if (clipAction !== next && clipAction.isRunning()) {
+        clipAction.fadeOut(duration);
+      }
+    });
+    return configure(next, "crossFadeTo", {
+      ...options,
+      fadeIn: duration,
+    }).play();
+  };
+
+  const setSpeed = function (speed, name = undefined) {
+    if (typeof name === "undefined") {
+      mixer.timeScale = speed;
+    } else {
+      action(name, "setSpeed").setEffectiveTimeScale(speed);
+    }
+  };
+
+  const isPlaying = function (name = undefined) {
+    return (
+      typeof name === "undefined" ? actions() : [action(name, "isPlaying")]
+    ).some(function (clipAction) {
+      return clipAction.isRunning();
+    });
+  };
+
+  return {
+    mixer,
+    clips: animations.map(function (clip) {
+      return clip.name;
+    }),
+    play,
+    stop,
+    crossFadeTo,
+    setSpeed,
+    isPlaying,
+  };
+}
+
+/**
+ * Render a GL Transmission Format (GLTF) model.
+ *
+ * @async
+ * @param {Object} options
+ * @param {String} options.model GLTF model URL.
  * @param {Number} options.scaleX Scale in X coordinate.
  * @param {Number} options.scaleY Scale in Y coordinate.
  * @param {Number} options.scaleZ Scale in Z coordinate.
  * @param {Number} options.posX X coordinate position.
  * @param {Number} options.posY Y coordinate position.
  * @param {Number} options.posZ Z coordinate position.
+ * @param {String|Boolean} options.clip Name of the clip to play, or false to play none. Every clip plays by default.
+ * @param {String} options.loop Loop mode of the played clips: "repeat", "once" or "pingpong".
+ * @param {Number} options.speed Playback speed of the clips.
+ * @param {MaterialOption} options.material Material replacing the materials of every mesh of the model.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {animationCallback} options.animate Animation callback.
+ * @param {Number} options.timeout Model load timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal to cancel the model load.
+ * @returns {Object} Model object, with an "animation" controller when the model has clips.
+ * @throws {OptionsError} Invalid options, or no clip of the model has the clip name.
+ * @throws {NetworkError} Model cannot be fetched or the load timed out.
+ * @throws {ParseError} Model or one of its resources cannot be parsed.
+ *
+ * The clips are advanced by the render loop whether or not an animate
+ * callback is given. Pausing the model animation handle pauses them too.
+ *
+ * @see {@link https://threejs.org/docs/#examples/en/loaders/GLTFLoader|GLTFLoader}
+ * @see {@link https://threejs.org/docs/#api/en/animation/AnimationMixer|AnimationMixer}
+ */
+export async function renderGltfModel({
+  model = "",
+  scaleX = 1,
+  scaleY = 1,
+  scaleZ = 1,
+  posX = 0,
+  posY = 0,
+  posZ = 0,
+  clip = undefined,
+  loop = "repeat",
+  speed = 1,
+  material = undefined,
+  scene = undefined,
+  animate = undefined,
+  timeout = 0,
+  signal = undefined,
+}) {
+  const node = { type: "gltf", ...nodeOptions(arguments[0]) };
+  if (
+    typeof model !== "string" ||
+    model === "" ||
+    !Object.hasOwn(loopModes, loop) ||
+    (!["undefined", "string"].includes(typeof clip) && clip !== false) ||
+    !validMaterial(material)
+  ) {
+    throw new OptionsError("Invalid options for 'renderGltfModel' function.");
+  }
+  const assetManager = getAssets(scene);
+  const loadedModel = await assetManager.gltf(model, { timeout, signal });
+  addDisposer(loadedModel.scene, function () {
+    assetManager.release(loadedModel);
+  });
+  if (
+    typeof clip === "string" &&
+    !(loadedModel.animations || []).some(function (animation) {
+      return animation.name === clip;
+    })
+  ) {
+    disposeObject(loadedModel.scene);
+    throw new OptionsError(
+      `Invalid options for 'renderGltfModel' function: no clip named '${clip}'.`
+    );
+  }
+  if (typeof material !== "undefined") {
+    const { material: modelMaterial, textures } = createMaterial(material, {
+      scene,
+      name: "renderGltfModel",
+    });
+    loadedModel.scene.traverse(function (child) {
+      if (child.isMesh) {
+        child.material = modelMaterial;
+      }
+    });
+    releaseTexturesWith(loadedModel.scene, textures, scene);
+  }
+  let mixer;
+  if (Array.isArray(loadedModel.animations) && loadedModel.animations.length) {
+    // Keep the clips with the model root for the exportScene function.
+    loadedModel.scene.animations = loadedModel.animations;
+    const controller = createAnimationController(
+      loadedModel.scene,
+      loadedModel.animations
+    );
+    mixer = controller.mixer;
+    loadedModel.animation = controller;
+    loadedModel.mixer = mixer;
+    addDisposer(loadedModel.scene, function () {
+      mixer.stopAllAction();
+      mixer.uncacheRoot(loadedModel.scene);
+    });
+    controller.setSpeed(speed);
+    if (clip !== false) {
+      controller.play(clip, { loop });
+    }
+  }
+  if (typeof mixer !== "undefined" || typeof animate === "function") {
+    getAnimations(scene).add(
+      loadedModel,
+      function (element, delta) {
+        if (typeof mixer !== "undefined") {
+          mixer.update(delta);
+        }
+        if (typeof animate === "function") {
+          animate(element, delta);
+        }
+      },
+      { object: loadedModel.scene }
+    );
+  }
+
+  loadedModel.scene.scale.set(scaleX, scaleY, scaleZ);
+  loadedModel.scene.position.set(posX, posY, posZ);
+  loadedModel.scene.userData.node = node;
+  if (scene instanceof THREE.Scene) {
+    scene.add(loadedModel.scene);
+  }
+  return loadedModel;
+}
+
+/**
+ * Cleanup callbacks registered by the helpers, keyed by the object (or scene)
+ * they belong to. Run by the disposeObject function.
+ *
+ * @type {WeakMap<Object, Set<Function>>}
+ */
+const disposers = new WeakMap();
+
+/**
+ * Color scheme listener removers registered by the setBackground function.
+ *
+ * @type {WeakMap<THREE.Scene, Function>}
+ */
+const backgroundListeners = new WeakMap();
+
+/**
+ * Background texture releasers registered by the setBackground function.
+ *
+ * @type {WeakMap<THREE.Scene, Function>}
+ */
+const backgroundAssets = new WeakMap();
+
+/**
+ * Latest background texture request of the setBackground function. Older
+ * requests resolving later are discarded.
+ *
+ * @type {WeakMap<THREE.Scene, Object>}
+ */
+const backgroundRequests = new WeakMap();
+
+/**
+ * Running background fade of the setBackground function. Replacing or
+ * deleting the entry cancels the fade.
+ *
+ * @type {WeakMap<THREE.Scene, Object>}
+ */
+const backgroundFades = new WeakMap();
+
+/**
+ * Register a cleanup callback to run when an object is disposed.
+ *
+ * @param {Object} target Object the cleanup belongs to.
+ * @param {Function} callback Cleanup callback.
+ * @returns {Function} Unregister the cleanup callback.
+ */
+function addDisposer(target, callback) {
+  if (!disposers.has(target)) {
+    disposers.set(target, new Set());
+  }
+  disposers.get(target).add(callback);
+  return function () {
+    if (disposers.has(target)) {
+      disposers.get(target).delete(callback);
+    }
+  };
+}
+
+/**
+ * Dispose a texture, ignoring any other value (colors, undefined) and the
+ * textures shared by an asset manager.
+ *
+ * @param {*} texture Texture object.
+ */
+function disposeTexture(texture) {
+  if (texture instanceof THREE.Texture && !sharedResources.has(texture)) {
+    texture.dispose();
+  }
+}
+
+/**
+ * Dispose a material and every texture it references, unless the material is
+ * shared by an asset manager.
+ *
+ * @param {THREE.Material} material Material object.
+ */
+function disposeMaterial(material) {
+  if (!sharedResources.has(material)) {
+    Object.values(material).forEach(disposeTexture);
+    material.dispose();
+  }
+}
+
+/**
+ * Dispose an object tree: free the GPU resources (geometries, materials and
+ * textures), release the assets taken from the asset manager, stop the GLTF
+ * animation mixers, unregister the animations and remove the listeners
+ * registered by the helpers, then detach the object from its parent.
+ * Disposing a scene also releases its background and environment textures.
+ *
+ * @param {THREE.Object3D} object Object (or scene) to dispose.
+ * @throws {OptionsError} Invalid options.
+ *
+ * @see {@link https://threejs.org/docs/#manual/en/introduction/How-to-dispose-of-objects|How to dispose of objects}
+ */
+export function disposeObject(object) {
+  if (!(object instanceof THREE.Object3D)) {
+    throw new OptionsError("Invalid options for 'disposeObject' function.");
+  }
+  object.traverse(function (child) {
+    if (disposers.has(child)) {
+      Array.from(disposers.get(child)).forEach(function (callback) {
+        callback();
+      });
+      disposers.delete(child);
+    }
+    if (
+      child.geometry instanceof THREE.BufferGeometry &&
+      !sharedResources.has(child.geometry)
+    ) {
+      child.geometry.dispose();
+    }
+    if (Array.isArray(child.material)) {
+      child.material.forEach(disposeMaterial);
+    } else if (child.material instanceof THREE.Material) {
+      disposeMaterial(child.material);
+    }
+  });
+  if (object instanceof THREE.Scene) {
+    disposeTexture(object.background);
+    disposeTexture(object.environment);
+    object.background = null;
+    object.environment = null;
+  }
+  object.removeFromParent();
+}
+
+/**
+ * Scene description node types mapped to their render functions.
+ *
+ * @type {Object<String, Function>}
+ */
+const sceneNodeTypes = {
+  text: renderText,
+  shape: renderShape,
+  box: renderBox,
+  sphere: renderSphere,
+  cylinder: renderCylinder,
+  cone: renderCone,
+  torus: renderTorus,
+  torusKnot: renderTorusKnot,
+  lathe: renderLathe,
+  tube: renderTube,
+  boxes: renderBoxes,
+  shapes: renderShapes,
+  gltf: renderGltfModel,
+};
+
+/**
+ * Keep the JSON serializable options of a render function call. Scene objects,
+ * callbacks and class instances are left out.
+ *
+ * @param {Object} options Render function options.
+ * @returns {Object} Serializable options.
+ */
+function nodeOptions(options) {
+  const serializable = {};
+  Object.entries(options).forEach(function ([key, value]) {
+    if (
+      key !== "scene" &&
+      (typeof value === "number" ||
+        typeof value === "string" ||
+        typeof value === "boolean" ||
+        Array.isArray(value) ||
+        (value !== null &&
+          typeof value === "object" &&
+          Object.getPrototypeOf(value) === Object.prototype))
+    ) {
+      serializable[key] = value;
+    }
+  });
+  // Class instances nested in the options (materials in text runs or box
+  // faces) are left out too.
+  return JSON.parse(
+    JSON.stringify(serializable, function (key, value) {
+      const original = this[key];
+      return original !== null &&
+        typeof original === "object" &&
+        !Array.isArray(original) &&
+        Object.getPrototypeOf(original) !== Object.prototype
+        ? undefined
+        : value;
+    })
+  );
+}
+
+/**
+ * Validate a scene description. Throw an error listing every problem found.
+ *
+ * @param {Object} description Scene description.
+ */
+function validateScene(description) {
+  const problems = [];
+  if (description === null || typeof description !== "object") {
+    throw new OptionsError("Invalid scene description: not an object.");
+  }
+  const { camera, lights, background, nodes } = description;
+  if (typeof camera !== "undefined" && typeof camera !== "object") {
+    problems.push("'camera' must be an object");
+  }
+  if (typeof lights !== "undefined" && !Array.isArray(lights)) {
+    problems.push("'lights' must be an array");
+  }
+  if (typeof background !== "undefined" && typeof background !== "object") {
+    problems.push("'background' must be an object");
+  }
+  if (typeof nodes !== "undefined" && !Array.isArray(nodes)) {
+    problems.push("'nodes' must be an array");
+  } else if (Array.isArray(nodes)) {
+    nodes.forEach(function (node, index) {
+      if (node === null || typeof node !== "object") {
+        problems.push("node " + index + " must be an object");
+      } else if (!Object.hasOwn(sceneNodeTypes, node.type)) {
+        problems.push(
+          "node " + index + " has an unknown type '" + node.type + "'"
+        );
+      }
+    });
+  }
+  if (problems.length > 0) {
+    throw new OptionsError(
+      "Invalid scene description: " + problems.join(", ") + "."
+    );
+  }
+}
+
+/**
+ * Load a JSON scene description and create its lights, background and nodes.
+ *
+ * A scene description is an object with optional "camera" (camera options of
+ * the createStage function), "lights" (list of light options), "background"
+ * (setBackground options) and "nodes" properties. Each node has a "type"
+ * ("text", "shape", "box", "sphere", "cylinder", "cone", "torus", "torusKnot",
+ * "lathe", "tube", "boxes", "shapes" or "gltf") and the options of the
+ * matching render function (renderText, renderShape, renderBox, renderSphere,
+ * etc).
+ *
+ * @async
+ * @param {(String|Object)} source Scene description URL or object.
+ * @param {Object} options
  * @param {THREE.Scene} options.scene Scene object.
- * @param {animationCallback} options.animate Animation callback.
- * @returns {THREE.Mesh} Shape object.
+ * @param {THREE.PerspectiveCamera} options.camera Camera object to apply the camera options to.
+ * @param {Number} options.timeout Scene description load timeout in milliseconds (0 for none).
+ * @param {AbortSignal} options.signal Abort signal to cancel the scene description load.
+ * @returns {{nodes: Object[], lights: THREE.Light[]}} Created nodes (in description order) and lights.
+ * @throws {OptionsError} Invalid options or scene description.
+ * @throws {LoadError} Scene description or one of its nodes cannot be loaded. The nodes created meanwhile are disposed.
  *
- * @see {@link https://threejs.org/docs/#api/en/geometries/ShapeGeometry|ShapeGeometry}
- * @see {@link https://threejs.org/docs/#api/en/geometries/RingGeometry|RingGeometry} For regular polygon.
- * @see {@link https://threejs.org/docs/#api/en/geometries/PlaneGeometry|PlaneGeometry} For plane geometry.
- * @see {@link https://threejs.org/docs/#api/en/geometries/ShapeGeometry|ShapeGeometry} For any other shape.
+ * @example
+ * {
+ *   "camera": { "posZ": 300 },
+ *   "lights": [{ "intensity": 10, "posZ": 25 }],
+ *   "background": { "dark": 2829099, "light": 16119807 },
+ *   "nodes": [
+ *     { "type": "box", "width": 25, "height": 25, "depth": 25, "color": 16711680 },
+ *     { "type": "text", "text": "Hello", "font": "/fonts/sono_regular.json", "posY": 50 }
+ *   ]
+ * }
+ *
+ * @see {@link https://threejs.org/docs/#api/en/loaders/FileLoader|FileLoader}
  */
-export function renderShape({
-  radius = undefined,
-  segments = 128,
-  innerRadius = 0,
-  phiSegments = 1,
-  thetaStart = 0,
-  thetaLength = 2,
-  width = undefined,
-  height = undefined,
-  widthSegments = 1,
-  heightSegments = 1,
-  shape = undefined,
-  color = 0xffffff,
-  texture = undefined,
-  scaleX = 1,
-  scaleY = 1,
-  scaleZ = 1,
-  posX = 0,
-  posY = 0,
-  posZ = 0,
-  scene = undefined,
-  animate = undefined,
-}) {
-  let geometry, material;
-  if (typeof radius === "number") {
-    geometry = new THREE.RingGeometry(
-      innerRadius,
-      radius,
-      segments,
-      phiSegments,
-      thetaStart * Math.PI,
-      thetaLength * Math.PI
-    );
-  } else if (typeof width === "number" && typeof height === "number") {
-    geometry = new THREE.PlaneGeometry(
-      width,
-      height,
-      widthSegments,
-      heightSegments
-    );
-  } else if (typeof shape === "function") {
-    const flatShape = new THREE.Shape();
-    shape(flatShape);
-    geometry = new THREE.ShapeGeometry(flatShape);
-    const position = geometry.attributes.position;
-    const box3 = new THREE.Box3().setFromBufferAttribute(position);
-    const size = new THREE.Vector3();
-    box3.getSize(size);
-    const uv = [];
-    const vector2 = new THREE.Vector2();
-    for (let i = 0; i < position.count; i++) {
-      vector2.fromBufferAttribute(position, i);
-      vector2.sub(box3.min).divide(size);
-      uv.push(vector2.x, vector2.y);
-    }
-    geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uv, 2));
-  } else {
-    radius = 10;
-    geometry = new THREE.CircleGeometry(
-      radius,
-      segments,
-      thetaStart * Math.PI,
-      thetaLength * Math.PI
-    );
+export async function loadScene(
+  source,
+  {
+    scene = undefined,
+    camera = undefined,
+    timeout = 0,
+    signal = undefined,
+  } = {}
+) {
+  if (!(scene instanceof THREE.Scene)) {
+    throw new OptionsError("Invalid options for 'loadScene' function.");
   }
+  const description =
+    typeof source === "string"
+      ? await loadJson(resolveAssetUrl(source), { timeout, signal })
+      : source;
+  validateScene(description);
 
-  if (typeof texture === "string") {
-    const image = new THREE.TextureLoader().load(texture);
-    image.colorSpace = THREE.SRGBColorSpace;
-    material = new THREE.MeshBasicMaterial({
-      map: image,
-      side: THREE.DoubleSide,
-    });
-  } else {
-    material = new THREE.MeshBasicMaterial({
-      color,
-      side: THREE.DoubleSide,
+  const {
+    camera: cameraOptions = undefined,
+    lights = [],
+    background = undefined,
+    nodes = [],
+  } = description;
+  if (
+    typeof cameraOptions !== "undefined" &&
+    camera instanceof THREE.PerspectiveCamera
+  ) {
+    setCamera(camera, cameraOptions);
+  }
+  if (typeof background !== "undefined") {
+    setBackground({ ...background, scene });
+  }
+  const lightList = addLights(scene, lights);
+  const results = await Promise.allSettled(
+    nodes.map(async function ({ type, ...options }) {
+      return sceneNodeTypes[type]({ ...options, scene });
+    })
+  );
+  const failed = results.find(function (result) {
+    return result.status === "rejected";
+  });
+  if (failed) {
+    // Leave no partial scene behind: remove the nodes created so far.
+    results.forEach(function (result) {
+      if (result.status === "fulfilled") {
+        disposeObject(
+          result.value instanceof THREE.Object3D
+            ? result.value
+            : result.value.scene
+        );
+      }
     });
+    throw failed.reason;
   }
+  return {
+    nodes: results.map(function (result) {
+      return result.value;
+    }),
+    lights: lightList,
+  };
+}
 
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.scale.set(scaleX, scaleY, scaleZ);
-  mesh.position.set(posX, posY, posZ);
-  if (typeof animate === "function") {
-    animationList.push({
-      element: mesh,
-      animate,
-    });
+/**
+ * Serialize a scene built by the render functions into a JSON scene
+ * description (see the loadScene function). Node positions and scales are
+ * read from the current object transforms (from the current instance states
+ * for batches). Nodes drawn with a callback (renderShape and renderShapes
+ * "shape" option) cannot be serialized: they are skipped, or rejected in
+ * strict mode.
+ *
+ * @param {THREE.Scene} scene Scene object.
+ * @param {Object} options
+ * @param {THREE.PerspectiveCamera} options.camera Camera object to serialize.
+ * @param {THREE.Vector3} options.target Point the camera looks at.
+ * @param {Boolean} options.strict If true, throw instead of skipping the nodes drawn with a callback.
+ * @returns {Object} Scene description.
+ * @throws {OptionsError} Invalid options, or a node drawn with a callback in strict mode.
+ */
+export function serializeScene(
+  scene,
+  { camera = undefined, target = new THREE.Vector3(), strict = false } = {}
+) {
+  if (!(scene instanceof THREE.Scene)) {
+    throw new OptionsError("Invalid options for 'serializeScene' function.");
   }
-  if (scene instanceof THREE.Scene) {
-    scene.add(mesh);
+  const description = {};
+  if (camera instanceof THREE.PerspectiveCamera) {
+    description.camera = {
+      fov: camera.fov,
+      near: camera.near,
+      far: camera.far,
+      posX: camera.position.x,
+      posY: camera.position.y,
+      posZ: camera.position.z,
+      targetX: target.x,
+      targetY: target.y,
+      targetZ: target.z,
+    };
   }
-  return mesh;
+  description.lights = [];
+  if (typeof scene.userData.background !== "undefined") {
+    description.background = { ...scene.userData.background };
+  }
+  description.nodes = [];
+
+  const visit = function (object) {
+    if (typeof object.userData.light !== "undefined") {
+      description.lights.push({ ...object.userData.light });
+    } else if (typeof object.userData.node !== "undefined") {
+      if (
+        ["shape", "shapes"].includes(object.userData.node.type) &&
+        ["radius", "width", "svg"].every(function (name) {
+          return typeof object.userData.node[name] === "undefined";
+        })
+      ) {
+        if (strict) {
+          throw new OptionsError(
+            "Invalid options for 'serializeScene' function: a shape drawn with a callback cannot be serialized."
+          );
+        }
+      } else if (batchInstances.has(object)) {
+        description.nodes.push({
+          ...object.userData.node,
+          instances: batchInstances.get(object).map(instanceOptions),
+        });
+      } else {
+        description.nodes.push({
+          ...object.userData.node,
+          scaleX: object.scale.x,
+          scaleY: object.scale.y,
+          scaleZ: object.scale.z,
+          posX: object.position.x,
+          posY: object.position.y,
+          posZ: object.position.z,
+        });
+      }
+      return;
+    }
+    object.children.forEach(visit);
+  };
+  scene.children.forEach(visit);
+  return description;
 }
 
 /**
- * Render a box.
+ * Save a blob as a file through a temporary download link.
  *
+ * @param {Blob} blob File content.
+ * @param {String} filename File name.
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(function () {
+    URL.revokeObjectURL(url);
+  });
+}
+
+/**
+ * Export a scene (or any object tree) built by the render functions to the
+ * GL Transmission Format: meshes (texts, shapes, solids and instanced
+ * batches), materials, textures, lights and the animation clips of the GLTF
+ * models.
+ *
+ * @async
  * @param {Object} options
- * @param {Number} options.width Width of the box.
- * @param {Number} options.height Height of the box.
- * @param {Number} options.depth Depth of the box.
- * @param {Number} options.widthSegments Number of segments along the width.
- * @param {Number} options.heightSegments Number of segments along the height.
- * @param {Number} options.depthSegments Number of segments along the depth.
- * @param {Number} options.color Color of box.
- * @param {Boolean} options.isSolid If true, render a solid box instead of a line frame.
- * @param {String[]} options.textures Array of texture URLs.
- * @param {Number} options.scaleX Scale in X coordinate.
- * @param {Number} options.scaleY Scale in Y coordinate.
- * @param {Number} options.scaleZ Scale in Z coordinate.
- * @param {Number} options.posX X coordinate position.
- * @param {Number} options.posY Y coordinate position.
- * @param {Number} options.posZ Z coordinate position.
- * @param {THREE.Scene} options.scene Scene object.
- * @param {animationCallback} options.animate Animation callback.
- * @returns {(THREE.Mesh|THREE.LineSegments)} Box object.
+ * @param {THREE.Object3D} options.scene Scene (or object) to export.
+ * @param {String} options.format Export format: "glb" (binary) or "gltf" (JSON).
+ * @param {Boolean} options.animations If true, include the animation clips of the GLTF models.
+ * @param {Boolean} options.onlyVisible If true, skip hidden objects.
+ * @param {String} options.filename If given, also download the export under this file name.
+ * @returns {Blob} Exported file.
+ * @throws {OptionsError} Invalid options.
  *
- * @see {@link https://threejs.org/docs/#api/en/geometries/BoxGeometry|BoxGeometry}
+ * The clips target their nodes by name: models sharing node names (the same
+ * model rendered twice) animate the first of them once imported.
+ *
+ * @see {@link https://threejs.org/docs/#examples/en/exporters/GLTFExporter|GLTFExporter}
  */
-export function renderBox({
-  width = 10,
-  height = 10,
-  depth = 10,
-  widthSegments = 1,
-  heightSegments = 1,
-  depthSegments = 1,
-  color = 0xffffff,
-  isSolid = true,
-  textures = [],
-  scaleX = 1,
-  scaleY = 1,
-  scaleZ = 1,
-  posX = 0,
-  posY = 0,
-  posZ = 0,
+export async function exportScene({
   scene = undefined,
-  animate = undefined,
+  format = "glb",
+  animations = true,
+  onlyVisible = true,
+  filename = undefined,
 }) {
-  const geometry = new THREE.BoxGeometry(
-    width,
-    height,
-    depth,
-    widthSegments,
-    heightSegments,
-    depthSegments
+  if (
+    !(scene instanceof THREE.Object3D) ||
+    !["gltf", "glb"].includes(format) ||
+    !["undefined", "string"].includes(typeof filename)
+  ) {
+    throw new OptionsError("Invalid options for 'exportScene' function.");
+  }
+  const clips = [];
+  if (animations) {
+    scene.traverse(function (object) {
+      object.animations.forEach(function (clip) {
+        if (!clips.includes(clip)) {
+          clips.push(clip);
+        }
+      });
+    });
+  }
+  const result = await new GLTFExporter().parseAsync(scene, {
+    binary: format === "glb",
+    animations: clips,
+    onlyVisible,
+  });
+  const blob =
+    format === "glb"
+      ? new Blob([result], { type: "model/gltf-binary" })
+      : new Blob([JSON.stringify(result)], { type: "model/gltf+json" });
+  if (typeof filename !== "undefined") {
+    downloadBlob(blob, filename);
+  }
+  return blob;
+}
+
+/**
+ * Check the options of the capture functions.
+ *
+ * @param {Object} options
+ * @returns {Boolean} True if the options are valid.
+ */
+function validCapture({ renderer, scene, camera, width, height }) {
+  return (
+    renderer instanceof THREE.WebGLRenderer &&
+    scene instanceof THREE.Scene &&
+    (camera instanceof THREE.PerspectiveCamera ||
+      camera instanceof THREE.OrthographicCamera) &&
+    [width, height].every(function (value) {
+      return (
+        typeof value === "undefined" || (Number.isInteger(value) && value > 0)
+      );
+    })
   );
-  let box;
-  if (isSolid === true) {
-    if (Array.isArray(textures) && textures.length > 0) {
-      const materials = [];
-      const textureToLoad = Array(6).fill(textures).flat();
-      const textureLoader = function (path) {
-        const texture = new THREE.TextureLoader().load(path);
-        texture.colorSpace = THREE.SRGBColorSpace;
-        return texture;
-      };
-      for (let i = 0; i < textureToLoad.length; i++) {
-        materials.push(
-          new THREE.MeshBasicMaterial({
-            map: textureLoader(textureToLoad[i]),
-          })
-        );
-      }
-      box = new THREE.Mesh(geometry, materials);
-    } else {
-      box = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({ color }));
+}
+
+/**
+ * Resize the drawing buffer (and the post-processing pipeline) to a capture
+ * size, in pixels, and fit the camera projection to it. The canvas CSS size
+ * is left untouched.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer Renderer object.
+ * @param {THREE.Camera} options.camera Perspective or orthographic camera.
+ * @param {PostProcessing} options.postProcessing Post-processing pipeline, if any.
+ * @param {Number} options.width Capture width (drawing buffer width by default).
+ * @param {Number} options.height Capture height (drawing buffer height by default).
+ * @returns {Function} Restore the previous size, pixel ratio and projection.
+ */
+function resizeCapture({ renderer, camera, postProcessing, width, height }) {
+  const size = renderer.getSize(new THREE.Vector2());
+  const pixelRatio = renderer.getPixelRatio();
+  const captureWidth =
+    typeof width !== "undefined" ? width : Math.floor(size.x * pixelRatio);
+  const captureHeight =
+    typeof height !== "undefined" ? height : Math.floor(size.y * pixelRatio);
+  const { aspect, left, right, top, bottom } = camera;
+  const resize = function (ratio, x, y) {
+    renderer.setPixelRatio(ratio);
+    renderer.setSize(x, y, false);
+    if (typeof postProcessing !== "undefined") {
+      postProcessing.setPixelRatio(ratio);
+      postProcessing.setSize(x, y);
     }
+  };
+  resize(1, captureWidth, captureHeight);
+  if (camera instanceof THREE.OrthographicCamera) {
+    // Keep the vertical extent, widen or narrow the horizontal one.
+    const center = (left + right) / 2;
+    const halfWidth = ((top - bottom) * captureWidth) / captureHeight / 2;
+    camera.left = center - halfWidth;
+    camera.right = center + halfWidth;
   } else {
-    box = new THREE.LineSegments(
-      new THREE.EdgesGeometry(geometry),
-      new THREE.LineBasicMaterial({ color })
+    camera.aspect = captureWidth / captureHeight;
+  }
+  camera.updateProjectionMatrix();
+  return function () {
+    resize(pixelRatio, size.x, size.y);
+    Object.assign(
+      camera,
+      camera instanceof THREE.OrthographicCamera ? { left, right } : { aspect }
     );
+    camera.updateProjectionMatrix();
+  };
+}
+
+/**
+ * Render a frame, through the post-processing pipeline if any.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer Renderer object.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {THREE.Camera} options.camera Camera object.
+ * @param {PostProcessing} options.postProcessing Post-processing pipeline, if any.
+ * @param {Number} delta Time elapsed since the previous frame, in seconds.
+ */
+function renderView({ renderer, scene, camera, postProcessing }, delta) {
+  if (typeof postProcessing !== "undefined") {
+    postProcessing.render(delta);
+  } else {
+    renderer.render(scene, camera);
   }
+}
 
-  box.scale.set(scaleX, scaleY, scaleZ);
-  box.position.set(posX, posY, posZ);
-  if (typeof animate === "function") {
-    animationList.push({
-      element: box,
-      animate,
-    });
+/**
+ * Render a frame and encode the drawing buffer in PNG format. The buffer is
+ * read in the same task as the render, before the browser clears it.
+ *
+ * @param {Object} view Renderer, scene, camera and post-processing pipeline (see the renderView function).
+ * @param {Number} delta Time elapsed since the previous frame, in seconds.
+ * @returns {Promise<Blob>} PNG image.
+ * @throws {CaptureError} The canvas cannot be encoded.
+ */
+function renderCapture(view, delta) {
+  const { renderer } = view;
+  renderView(view, delta);
+  return new Promise(function (resolve, reject) {
+    renderer.domElement.toBlob(function (blob) {
+      if (blob === null) {
+        reject(new CaptureError("Cannot encode the canvas in PNG format."));
+      } else {
+        resolve(blob);
+      }
+    }, "image/png");
+  });
+}
+
+/**
+ * Capture a still of the scene in PNG format, rendered at a size independent
+ * of the canvas (e.g. 3840 x 2160 from a small canvas). The canvas is then
+ * rendered again at its own size.
+ *
+ * @async
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer Renderer object.
+ * @param {THREE.Scene} options.scene Scene object.
+ * @param {THREE.Camera} options.camera Perspective or orthographic camera.
+ * @param {Number} options.width Image width in pixels (drawing buffer width by default).
+ * @param {Number} options.height Image height in pixels (drawing buffer height by default).
+ * @param {PostProcessing} options.postProcessing Post-processing pipeline to render through, if any.
+ * @param {String} options.filename If given, also download the image under this file name.
+ * @returns {Blob} PNG image.
+ * @throws {OptionsError} Invalid options.
+ * @throws {CaptureError} The canvas cannot be encoded in PNG format.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/toBlob|toBlob}
+ */
+export async function captureFrame({
+  renderer = undefined,
+  scene = undefined,
+  camera = undefined,
+  width = undefined,
+  height = undefined,
+  postProcessing = undefined,
+  filename = undefined,
+}) {
+  if (
+    !validCapture({ renderer, scene, camera, width, height }) ||
+    !["undefined", "string"].includes(typeof filename)
+  ) {
+    throw new OptionsError("Invalid options for 'captureFrame' function.");
   }
-  if (scene instanceof THREE.Scene) {
-    scene.add(box);
+  const restore = resizeCapture({
+    renderer,
+    camera,
+    postProcessing,
+    width,
+    height,
+  });
+  let blob;
+  try {
+    blob = await renderCapture({ renderer, scene, camera, postProcessing }, 0);
+  } finally {
+    restore();
+    renderView({ renderer, scene, camera, postProcessing }, 0);
+  }
+  if (typeof filename !== "undefined") {
+    downloadBlob(blob, filename);
   }
-  return box;
+  return blob;
 }
 
 /**
- * Render a GL Transmission Format (GLTF) model.
+ * Record a fixed-duration sequence of PNG frames at a fixed frame rate. Each
+ * frame advances the animation registry of the scene (and the GLTF clips) by
+ * exactly 1 / fps seconds whatever the time taken to render and encode it,
+ * so recordings are reproducible and never drop frames. Encode the sequence
+ * to a video with an external tool (e.g. ffmpeg -framerate 30 -i %04d.png).
+ *
+ * Stop the render loop of the stage while recording, otherwise it advances
+ * the animations too.
  *
  * @async
  * @param {Object} options
- * @param {Number} options.model GLTF model URL.
- * @param {Number} options.scaleX Scale in X coordinate.
- * @param {Number} options.scaleY Scale in Y coordinate.
- * @param {Number} options.scaleZ Scale in Z coordinate.
- * @param {Number} options.posX X coordinate position.
- * @param {Number} options.posY Y coordinate position.
- * @param {Number} options.posZ Z coordinate position.
+ * @param {THREE.WebGLRenderer} options.renderer Renderer object.
  * @param {THREE.Scene} options.scene Scene object.
- * @param {animationCallback} options.animate Animation callback.
- * @returns {Object} Model object.
+ * @param {THREE.Camera} options.camera Perspective or orthographic camera.
+ * @param {Number} options.duration Recording duration in seconds.
+ * @param {Number} options.fps Frames per second.
+ * @param {Number} options.width Frame width in pixels (drawing buffer width by default).
+ * @param {Number} options.height Frame height in pixels (drawing buffer height by default).
+ * @param {PostProcessing} options.postProcessing Post-processing pipeline to render through, if any.
+ * @param {Function} options.onFrame Callback called with each frame blob, its index and the frame count.
+ * @returns {Blob[]} PNG frames, the first one at time 0.
+ * @throws {OptionsError} Invalid options.
+ * @throws {CaptureError} A frame cannot be encoded in PNG format.
  *
- * @see {@link https://threejs.org/docs/#examples/en/loaders/GLTFLoader|GLTFLoader}
- * @see {@link https://threejs.org/docs/#api/en/animation/AnimationMixer|AnimationMixer}
+ * @example
+ * stage.stop();
+ * const frames = await recordCanvas({
+ *   renderer: stage.renderer,
+ *   scene: stage.scene,
+ *   camera: stage.camera,
+ *   duration: 2,
+ *   fps: 30,
+ * });
+ * stage.start();
  */
-export async function renderGltfModel({
-  model = "",
-  scaleX = 1,
-  scaleY = 1,
-  scaleZ = 1,
-  posX = 0,
-  posY = 0,
-  posZ = 0,
+export async function recordCanvas({
+  renderer = undefined,
   scene = undefined,
-  animate = undefined,
+  camera = undefined,
+  duration = 5,
+  fps = 30,
+  width = undefined,
+  height = undefined,
+  postProcessing = undefined,
+  onFrame = undefined,
 }) {
-  const loaded = new Promise(function (resolve) {
-    new GLTFLoader().load(model, async function (loadedModel) {
-      if (typeof animate === "function") {
-        if (loadedModel.animations) {
-          const mixer = new THREE.AnimationMixer(loadedModel.scene);
-          loadedModel.animations.forEach((clip) => {
-            mixer.clipAction(clip).play();
-          });
-          loadedModel.mixer = mixer;
-        }
-        animationList.push({
-          element: loadedModel,
-          animate,
-        });
-      }
-
-      loadedModel.scene.scale.set(scaleX, scaleY, scaleZ);
-      loadedModel.scene.position.set(posX, posY, posZ);
-      if (scene instanceof THREE.Scene) {
-        scene.add(loadedModel.scene);
-      }
-      resolve(loadedModel);
-    });
+  if (
+    !validCapture({ renderer, scene, camera, width, height }) ||
+    !(typeof duration === "number" && duration > 0) ||
+    !(typeof fps === "number" && fps > 0) ||
+    !["undefined", "function"].includes(typeof onFrame)
+  ) {
+    throw new OptionsError("Invalid options for 'recordCanvas' function.");
+  }
+  const animations = getAnimations(scene);
+  const count = Math.max(Math.round(duration * fps), 1);
+  const frames = [];
+  const restore = resizeCapture({
+    renderer,
+    camera,
+    postProcessing,
+    width,
+    height,
   });
-  return loaded;
+  try {
+    for (let index = 0; index < count; index++) {
+      const delta = index === 0 ? 0 : 1 / fps;
+      animations.update(delta);
+      const blob = await renderCapture(
+        { renderer, scene, camera, postProcessing },
+        delta
+      );
+      frames.push(blob);
+      if (typeof onFrame === "function") {
+        onFrame(blob, index, count);
+      }
+    }
+  } finally {
+    restore();
+    renderView({ renderer, scene, camera, postProcessing }, 0);
+  }
+  return frames;
 }
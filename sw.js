@@ -0,0 +1,210 @@
+/**
+ * Service worker of the tinkerspace (registered by the enableOffline function
+ * of functions.js). It precaches the pages, the library files, the fonts, the
+ * backgrounds and the models. The pages and functions.js are served from the
+ * network first, falling back to the cache offline. The other same-origin
+ * files are served from the cache first, and cached once fetched.
+ * Cross-origin requests go to the network and are not cached.
+ *
+ * Bump the cache name when a precached library, font, background or model
+ * file changes.
+ */
+
+/**
+ * Cache name.
+ *
+ * @type {String}
+ */
+const cacheName = "tinkerspace-v4";
+
+/**
+ * Precached files, relative to the service worker location.
+ *
+ * @type {String[]}
+ */
+const precache = [
+  "./",
+  "index.html",
+  "boxes.html",
+  "boxes-no-background.html",
+  "models.html",
+  "models-no-background.html",
+  "shapes.html",
+  "texts.html",
+  "functions.js",
+  "backgrounds/day_sky.png",
+  "backgrounds/night_sky.exr",
+  "favicon.ico",
+  "fonts/arvo_bold.json",
+  "fonts/arvo_regular.json",
+  "fonts/droid_sans_mono_regular.json",
+  "fonts/droid_sans_regular.json",
+  "fonts/droid_serif_regular.json",
+  "fonts/gentilis_regular.json",
+  "fonts/helvetiker_regular.json",
+  "fonts/optimer_regular.json",
+  "fonts/quicksand_bold.json",
+  "fonts/quicksand_regular.json",
+  "fonts/sono_bold.json",
+  "fonts/sono_regular.json",
+  "lib/normalize/LICENSE.md",
+  "lib/normalize/normalize.css",
+  "lib/simple/LICENSE",
+  "lib/simple/simple.min.css",
+  "lib/three/LICENSE",
+  "lib/three/build/three.module.js",
+  "lib/three/examples/jsm/capabilities/WebGL.js",
+  "lib/three/examples/jsm/controls/OrbitControls.js",
+  "lib/three/examples/jsm/exporters/GLTFExporter.js",
+  "lib/three/examples/jsm/libs/fflate.module.js",
+  "lib/three/examples/jsm/loaders/EXRLoader.js",
+  "lib/three/examples/jsm/loaders/FontLoader.js",
+  "lib/three/examples/jsm/loaders/GLTFLoader.js",
+  "lib/three/examples/jsm/loaders/RGBELoader.js",
+  "lib/three/examples/jsm/loaders/SVGLoader.js",
+  "lib/three/examples/jsm/math/SimplexNoise.js",
+  "lib/three/examples/jsm/postprocessing/EffectComposer.js",
+  "lib/three/examples/jsm/postprocessing/FilmPass.js",
+  "lib/three/examples/jsm/postprocessing/MaskPass.js",
+  "lib/three/examples/jsm/postprocessing/OutlinePass.js",
+  "lib/three/examples/jsm/postprocessing/OutputPass.js",
+  "lib/three/examples/jsm/postprocessing/Pass.js",
+  "lib/three/examples/jsm/postprocessing/RenderPass.js",
+  "lib/three/examples/jsm/postprocessing/SMAAPass.js",
+  "lib/three/examples/jsm/postprocessing/SSAOPass.js",
+  "lib/three/examples/jsm/postprocessing/ShaderPass.js",
+  "lib/three/examples/jsm/postprocessing/UnrealBloomPass.js",
+  "lib/three/examples/jsm/shaders/CopyShader.js",
+  "lib/three/examples/jsm/shaders/FXAAShader.js",
+  "lib/three/examples/jsm/shaders/FilmShader.js",
+  "lib/three/examples/jsm/shaders/LuminosityHighPassShader.js",
+  "lib/three/examples/jsm/shaders/OutputShader.js",
+  "lib/three/examples/jsm/shaders/SMAAShader.js",
+  "lib/three/examples/jsm/shaders/SSAOShader.js",
+  "lib/three/examples/jsm/shaders/VignetteShader.js",
+  "lib/three/examples/jsm/utils/BufferGeometryUtils.js",
+  "lib/three/examples/jsm/utils/SkeletonUtils.js",
+  "lib/three/examples/jsm/utils/TextureUtils.js",
+  "models/1987_bmw_e34_lp/scene.bin",
+  "models/1987_bmw_e34_lp/scene.gltf",
+  "models/1987_bmw_e34_lp/textures/Emblem_baseColor.png",
+  "models/1987_bmw_e34_lp/textures/Plate_baseColor.png",
+  "models/cameraman_walking/scene.bin",
+  "models/cameraman_walking/scene.gltf",
+  "models/cameraman_walking/textures/arms_gloves_baseColor.png",
+  "models/cameraman_walking/textures/coat_baseColor.png",
+  "models/cameraman_walking/textures/coat_normal.png",
+  "models/cameraman_walking/textures/suit_sheet_baseColor.jpeg",
+  "models/cameraman_walking/textures/suit_sheet_normal.png",
+  "models/cameraman_walking/textures/surveillance_camera_baseColor.png",
+  "models/cameraman_walking/textures/tiesandties_baseColor.png",
+  "models/low_poly_people_free_sample_pack/scene.gltf",
+  "models/low_poly_people_free_sample_pack/textures/peopleColorsFam_baseColor.png",
+  "models/low_poly_people_free_sample_pack/textures/peopleColors_baseColor.png",
+  "models/star_sparrow_modular_spaceship/scene.bin",
+  "models/star_sparrow_modular_spaceship/scene.gltf",
+  "models/star_sparrow_modular_spaceship/textures/StarSparrow_Material_baseColor.png",
+  "models/star_sparrow_modular_spaceship/textures/StarSparrow_Material_emissive.png",
+  "models/star_sparrow_modular_spaceship/textures/StarSparrow_Material_metallicRoughness.png",
+  "models/star_sparrow_modular_spaceship/textures/StarSparrow_Material_normal.png",
+  "models/star_sparrow_modular_spaceship/textures/StarSparrow_Material_specularf0.png",
+];
+
+self.addEventListener("install", function (event) {
+  event.waitUntil(
+    caches
+      .open(cacheName)
+      .then(function (cache) {
+        return cache.addAll(precache);
+      })
+      .then(function () {
+        return self.skipWaiting();
+      })
+  );
+});
+
+self.addEventListener("activate", function (event) {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(function (names) {
+        return Promise.all(
+          names
+            .filter(function (name) {
+              return name !== cacheName;
+            })
+            .map(function (name) {
+              return caches.delete(name);
+            })
+        );
+      })
+      .then(function () {
+        return self.clients.claim();
+      })
+  );
+});
+
+/**
+ * Absolute URLs of the pages and functions.js, served from the network first
+ * so edits show up without bumping the cache name.
+ *
+ * @type {String[]}
+ */
+const networkFirst = [
+  "./",
+  "index.html",
+  "boxes.html",
+  "boxes-no-background.html",
+  "models.html",
+  "models-no-background.html",
+  "shapes.html",
+  "texts.html",
+  "functions.js",
+].map(function (path) {
+  return new URL(path, self.location).href;
+});
+
+/**
+ * Fetch a request and cache a copy of the successful response.
+ *
+ * @param {Request} request Request.
+ * @returns {Promise<Response>} Response promise.
+ */
+function fetchAndCache(request) {
+  return fetch(request).then(function (response) {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(cacheName).then(function (cache) {
+        cache.put(request, copy);
+      });
+    }
+    return response;
+  });
+}
+
+self.addEventListener("fetch", function (event) {
+  const url = new URL(event.request.url);
+  // Cross-origin requests (placeholder images, etc) are never cached.
+  if (event.request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+  url.search = "";
+  url.hash = "";
+  if (event.request.mode === "navigate" || networkFirst.includes(url.href)) {
+    event.respondWith(
+      fetchAndCache(event.request).catch(function () {
+        return caches
+          .match(event.request, { ignoreSearch: true })
+          .then(function (cached) {
+            return cached || Response.error();
+          });
+      })
+    );
+    return;
+  }
+  event.respondWith(
+    caches.match(event.request).then(function (cached) {
+      return cached || fetchAndCache(event.request);
+    })
+  );
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import { createAnimations, disposeObject } from "../functions.js";
+
+/**
+ * Return a scene with a group holding a mesh registered in an animation
+ * registry of the scene.
+ *
+ * @returns {Object} Scene, group, mesh and animation registry.
+ */
+function createAnimatedMesh() {
+  const scene = new THREE.Scene();
+  const group = new THREE.Group();
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.Material());
+  scene.add(group);
+  group.add(mesh);
+  const animations = createAnimations(scene);
+  animations.add(mesh, function (element, delta) {
+    element.rotation.y += delta;
+  });
+  return { scene, group, mesh, animations };
+}
+
+test("createAnimations keeps an object moved to another parent", function () {
+  const { scene, mesh, animations } = createAnimatedMesh();
+  scene.add(mesh);
+  animations.update(1);
+  assert.ok(animations.get(mesh));
+  assert.equal(mesh.rotation.y, 1);
+});
+
+test("createAnimations drops an object detached from the scene", function () {
+  const { scene, group, mesh, animations } = createAnimatedMesh();
+  scene.remove(group);
+  animations.update(1);
+  assert.equal(animations.get(mesh), undefined);
+  assert.equal(mesh.rotation.y, 0);
+});
+
+test("createAnimations drops a disposed object", function () {
+  const { mesh, animations } = createAnimatedMesh();
+  disposeObject(mesh);
+  assert.equal(animations.size(), 0);
+});
@@ -0,0 +1,195 @@
+import { createScene, setColorScheme, until } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import {
+  OptionsError,
+  ParseError,
+  applyTheme,
+  configureAssets,
+  disposeObject,
+  getAssets,
+  getMissingAssets,
+  getTheme,
+  setBackground,
+  setTheme,
+} from "../functions.js";
+
+/**
+ * Return a renderer object without a WebGL context, for the options that
+ * only set renderer properties.
+ *
+ * @returns {THREE.WebGLRenderer} Renderer object.
+ */
+function createRenderer() {
+  return Object.create(THREE.WebGLRenderer.prototype);
+}
+
+test("setBackground sets a color background", function () {
+  const scene = createScene();
+  setBackground({ color: 0x112233, scene });
+  assert.ok(scene.background instanceof THREE.Color);
+  assert.equal(scene.background.getHex(), 0x112233);
+  assert.equal(scene.environment, null);
+});
+
+test("setBackground follows the color scheme with dark and light colors", function () {
+  const scene = createScene();
+  setColorScheme("light");
+  setBackground({ dark: 0x000000, light: 0xffffff, scene });
+  assert.equal(scene.background.getHex(), 0xffffff);
+  setColorScheme("dark");
+  assert.equal(scene.background.getHex(), 0x000000);
+  disposeObject(scene);
+  setColorScheme("light");
+  assert.equal(scene.background, null);
+});
+
+test("applyTheme replaces a dark and light background of setBackground", function () {
+  const scene = createScene();
+  setColorScheme("light");
+  setBackground({ dark: 0x000000, light: 0xffffff, scene });
+  setTheme("light");
+  applyTheme(scene);
+  setColorScheme("dark");
+  assert.equal(scene.background.getHex(), getTheme().background);
+  disposeObject(scene);
+  setTheme("auto");
+  setColorScheme("light");
+});
+
+test("setBackground sets an image background that does not light the scene", async function () {
+  const scene = createScene();
+  setBackground({
+    image: "/models/1987_bmw_e34_lp/textures/Plate_baseColor.png",
+    backgroundBlurriness: 0.2,
+    backgroundRotation: 1,
+    scene,
+  });
+  await until(function () {
+    return scene.background instanceof THREE.Texture;
+  });
+  assert.equal(
+    scene.background.mapping,
+    THREE.EquirectangularReflectionMapping
+  );
+  assert.equal(scene.background.colorSpace, THREE.SRGBColorSpace);
+  assert.equal(scene.environment, null);
+  assert.equal(scene.backgroundBlurriness, 0.2);
+  assert.equal(scene.backgroundRotation.y, 1);
+});
+
+test("setBackground lights the scene with an HDR background", async function () {
+  const scene = createScene();
+  setBackground({
+    hdr: "/test/fixtures/gradient.hdr",
+    environmentIntensity: 1.5,
+    scene,
+  });
+  await until(function () {
+    return scene.background instanceof THREE.DataTexture;
+  });
+  assert.equal(scene.background.image.width, 16);
+  assert.equal(scene.environment, scene.background);
+  assert.equal(scene.environmentIntensity, 1.5);
+  assert.equal(getAssets(scene).stats().types.environment, 1);
+  disposeObject(scene);
+  assert.equal(scene.environment, null);
+  assert.equal(getAssets(scene).stats().entries, 0);
+});
+
+test("setBackground leaves the environment out when disabled", async function () {
+  const scene = createScene();
+  setBackground({
+    hdr: "/test/fixtures/gradient.hdr",
+    environment: false,
+    scene,
+  });
+  await until(function () {
+    return scene.background instanceof THREE.Texture;
+  });
+  assert.equal(scene.environment, null);
+});
+
+test("setBackground lights the scene with an environment map only", async function () {
+  const scene = createScene();
+  setBackground({
+    color: 0x222222,
+    environment: "/test/fixtures/gradient.hdr",
+    scene,
+  });
+  await until(function () {
+    return scene.environment instanceof THREE.Texture;
+  });
+  assert.equal(scene.background.getHex(), 0x222222);
+});
+
+test("setBackground falls back to the color when the file is missing", async function () {
+  const missing = [];
+  configureAssets({
+    onMissing: function (url, fallback) {
+      missing.push([url, fallback]);
+    },
+  });
+  const scene = createScene();
+  setBackground({
+    color: 0x445566,
+    exr: "/backgrounds/missing.exr",
+    scene,
+  });
+  await until(function () {
+    return scene.background instanceof THREE.Color;
+  });
+  assert.equal(scene.background.getHex(), 0x445566);
+  assert.equal(scene.environment, null);
+  assert.ok(getMissingAssets().includes("/backgrounds/missing.exr"));
+  assert.deepEqual(missing, [["/backgrounds/missing.exr", null]]);
+  configureAssets({ onMissing: null });
+});
+
+test("setBackground rejects with a ParseError for a broken file", async function () {
+  const scene = createScene();
+  await assert.rejects(
+    setBackground({
+      color: 0x445566,
+      hdr: "/test/fixtures/broken.hdr",
+      scene,
+    }),
+    ParseError
+  );
+  assert.equal(scene.background.getHex(), 0x445566);
+  assert.equal(scene.environment, null);
+});
+
+test("setBackground keeps the latest of two backgrounds", async function () {
+  const scene = createScene();
+  setBackground({ hdr: "/test/fixtures/gradient.hdr", scene });
+  setBackground({ color: 0x778899, scene });
+  assert.equal(scene.background.getHex(), 0x778899);
+  // The HDR texture is released once loaded.
+  await until(function () {
+    return getAssets(scene).stats().entries === 0;
+  });
+  assert.equal(scene.background.getHex(), 0x778899);
+});
+
+test("setBackground sets the renderer tone mapping", function () {
+  const renderer = createRenderer();
+  setBackground({
+    toneMapping: "aces",
+    toneMappingExposure: 1.2,
+    renderer,
+    scene: createScene(),
+  });
+  assert.equal(renderer.toneMapping, THREE.ACESFilmicToneMapping);
+  assert.equal(renderer.toneMappingExposure, 1.2);
+});
+
+test("setBackground rejects invalid options", function () {
+  assert.throws(function () {
+    setBackground({ color: 0x000000 });
+  }, OptionsError);
+  assert.throws(function () {
+    setBackground({ toneMapping: "filmic", scene: createScene() });
+  }, OptionsError);
+});
@@ -0,0 +1,117 @@
+import { createScene } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import {
+  OptionsError,
+  disposeObject,
+  getAssets,
+  renderBox,
+} from "../functions.js";
+
+/**
+ * Texture file of the repository.
+ *
+ * @type {String}
+ */
+const emblem = "/models/1987_bmw_e34_lp/textures/Emblem_baseColor.png";
+
+/**
+ * Other texture file of the repository.
+ *
+ * @type {String}
+ */
+const plate = "/models/1987_bmw_e34_lp/textures/Plate_baseColor.png";
+
+test("renderBox renders a solid box with one Phong material", function () {
+  const box = renderBox({ width: 4, height: 6, depth: 8, color: 0x00ff00 });
+  assert.ok(box instanceof THREE.Mesh);
+  assert.ok(box.geometry instanceof THREE.BoxGeometry);
+  assert.deepEqual(
+    [
+      box.geometry.parameters.width,
+      box.geometry.parameters.height,
+      box.geometry.parameters.depth,
+    ],
+    [4, 6, 8]
+  );
+  assert.ok(box.material instanceof THREE.MeshPhongMaterial);
+  assert.equal(box.material.color.getHex(), 0x00ff00);
+});
+
+test("renderBox repeats the textures over the six faces", async function () {
+  const scene = createScene();
+  const box = renderBox({ textures: [emblem, plate], scene });
+  assert.equal(box.material.length, 6);
+  box.material.forEach(function (material, index) {
+    assert.ok(material instanceof THREE.MeshBasicMaterial);
+    assert.equal(material.map, box.material[index % 2].map);
+  });
+  assert.notEqual(box.material[0].map, box.material[1].map);
+  assert.equal(getAssets(scene).stats().types.texture, 2);
+  await Promise.all(
+    box.material.map(function (material) {
+      return getAssets(scene).ready(material.map);
+    })
+  );
+  assert.match(box.material[0].map.image.src, /Emblem_baseColor\.png$/);
+  assert.match(box.material[1].map.image.src, /Plate_baseColor\.png$/);
+});
+
+test("renderBox applies face materials over the textures", function () {
+  const scene = createScene();
+  const box = renderBox({
+    textures: [emblem],
+    material: { type: "standard", roughness: 0.5 },
+    faces: { py: { type: "basic", color: 0xff0000 } },
+    scene,
+  });
+  assert.equal(box.material.length, 6);
+  box.material.forEach(function (material, index) {
+    assert.equal(material.map, box.material[0].map);
+    if (index === 2) {
+      assert.ok(material instanceof THREE.MeshBasicMaterial);
+    } else {
+      assert.ok(material instanceof THREE.MeshStandardMaterial);
+      assert.equal(material.roughness, 0.5);
+    }
+  });
+  assert.equal(getAssets(scene).stats().types.texture, 1);
+});
+
+test("renderBox releases the face textures when disposed", function () {
+  const scene = createScene();
+  const box = renderBox({ textures: [emblem, plate], scene });
+  assert.equal(getAssets(scene).stats().references, 6);
+  disposeObject(box);
+  assert.equal(getAssets(scene).stats().entries, 0);
+});
+
+test("renderBox renders the box edges in wireframe mode", function () {
+  const scene = createScene();
+  const box = renderBox({
+    width: 2,
+    height: 2,
+    depth: 2,
+    color: 0x123456,
+    isSolid: false,
+    textures: [emblem],
+    scene,
+  });
+  assert.ok(box instanceof THREE.LineSegments);
+  assert.ok(box.geometry instanceof THREE.EdgesGeometry);
+  // Twelve edges of two vertices.
+  assert.equal(box.geometry.attributes.position.count, 24);
+  assert.ok(box.material instanceof THREE.LineBasicMaterial);
+  assert.equal(box.material.color.getHex(), 0x123456);
+  assert.equal(getAssets(scene).stats().entries, 0);
+});
+
+test("renderBox rejects invalid sizes and face names", function () {
+  assert.throws(function () {
+    renderBox({ width: 0 });
+  }, OptionsError);
+  assert.throws(function () {
+    renderBox({ faces: { top: { type: "basic" } } });
+  }, OptionsError);
+});
@@ -0,0 +1,159 @@
+import { createScene } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import {
+  LoadError,
+  NetworkError,
+  OptionsError,
+  disposeObject,
+  getAnimations,
+  getAssets,
+  renderGltfModel,
+} from "../functions.js";
+
+/**
+ * Bundled models, with the name of their animation clip (if any).
+ *
+ * @type {Object<String, ?String>}
+ */
+const models = {
+  "/models/1987_bmw_e34_lp/scene.gltf": null,
+  "/models/cameraman_walking/scene.gltf": "mixamo.com",
+  "/models/star_sparrow_modular_spaceship/scene.gltf": "Animation",
+};
+
+/**
+ * Return the meshes of an object tree.
+ *
+ * @param {THREE.Object3D} object Object.
+ * @returns {THREE.Mesh[]} Meshes.
+ */
+function meshes(object) {
+  const list = [];
+  object.traverse(function (child) {
+    if (child.isMesh) {
+      list.push(child);
+    }
+  });
+  return list;
+}
+
+Object.entries(models).forEach(function ([model, clip]) {
+  test("renderGltfModel renders " + model, async function () {
+    const scene = createScene();
+    const loadedModel = await renderGltfModel({
+      model,
+      scaleX: 2,
+      posY: -10,
+      scene,
+    });
+    assert.equal(loadedModel.scene.parent, scene);
+    assert.equal(loadedModel.scene.scale.x, 2);
+    assert.equal(loadedModel.scene.position.y, -10);
+    const modelMeshes = meshes(loadedModel.scene);
+    assert.ok(modelMeshes.length > 0);
+    modelMeshes.forEach(function (mesh) {
+      assert.ok(mesh.geometry.attributes.position.count > 0);
+    });
+    const textured = modelMeshes.filter(function (mesh) {
+      return [].concat(mesh.material).some(function (material) {
+        return material.map instanceof THREE.Texture;
+      });
+    });
+    assert.ok(textured.length > 0);
+    if (clip === null) {
+      assert.equal(loadedModel.animation, undefined);
+      assert.equal(getAnimations(scene).size(), 0);
+    } else {
+      assert.deepEqual(loadedModel.animation.clips, [clip]);
+      assert.equal(loadedModel.animation.isPlaying(clip), true);
+      assert.ok(getAnimations(scene).get(loadedModel));
+    }
+    disposeObject(loadedModel.scene);
+    assert.equal(getAssets(scene).stats().entries, 0);
+    assert.equal(getAnimations(scene).size(), 0);
+  });
+});
+
+test("renderGltfModel shares the geometries of a model loaded twice", async function () {
+  const scene = createScene();
+  const model = "/models/1987_bmw_e34_lp/scene.gltf";
+  const [first, second] = await Promise.all([
+    renderGltfModel({ model, scene }),
+    renderGltfModel({ model, scene }),
+  ]);
+  assert.notEqual(first.scene, second.scene);
+  assert.equal(
+    meshes(first.scene)[0].geometry,
+    meshes(second.scene)[0].geometry
+  );
+  assert.equal(getAssets(scene).stats().types.gltf, 1);
+  assert.equal(getAssets(scene).stats().hits, 1);
+});
+
+test("renderGltfModel replaces the materials with the material option", async function () {
+  const scene = createScene();
+  const loadedModel = await renderGltfModel({
+    model: "/models/star_sparrow_modular_spaceship/scene.gltf",
+    material: { type: "lambert" },
+    scene,
+  });
+  meshes(loadedModel.scene).forEach(function (mesh) {
+    assert.ok(mesh.material instanceof THREE.MeshLambertMaterial);
+  });
+});
+
+test("renderGltfModel rejects a missing model", async function () {
+  await assert.rejects(
+    renderGltfModel({
+      model: "/models/missing/scene.gltf",
+      scene: createScene(),
+    }),
+    NetworkError
+  );
+});
+
+test("renderGltfModel rejects a model with a missing buffer", async function () {
+  // The bundled sample pack lacks its scene.bin file.
+  const scene = createScene();
+  await assert.rejects(
+    renderGltfModel({
+      model: "/models/low_poly_people_free_sample_pack/scene.gltf",
+      scene,
+    }),
+    function (error) {
+      return (
+        error instanceof LoadError && /scene\.bin/.test(error.cause.message)
+      );
+    }
+  );
+  assert.equal(getAssets(scene).stats().entries, 0);
+});
+
+test("renderGltfModel rejects an unknown clip", async function () {
+  const scene = createScene();
+  await assert.rejects(
+    renderGltfModel({
+      model: "/models/cameraman_walking/scene.gltf",
+      clip: "Run",
+      scene,
+    }),
+    OptionsError
+  );
+  assert.equal(scene.children.length, 0);
+});
+
+test("renderGltfModel rejects a clip of a model without clips", async function () {
+  const scene = createScene();
+  await assert.rejects(
+    renderGltfModel({
+      model: "/models/1987_bmw_e34_lp/scene.gltf",
+      clip: "Animation",
+      scene,
+    }),
+    OptionsError
+  );
+  assert.equal(scene.children.length, 0);
+  assert.equal(getAssets(scene).stats().entries, 0);
+});
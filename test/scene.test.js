@@ -0,0 +1,71 @@
+import { createScene } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  NetworkError,
+  OptionsError,
+  getAssets,
+  loadScene,
+  renderShape,
+  serializeScene,
+} from "../functions.js";
+
+test("loadScene creates the lights and nodes of a description", async function () {
+  const scene = createScene();
+  const { nodes, lights } = await loadScene(
+    {
+      lights: [{ intensity: 10, posZ: 25 }],
+      nodes: [
+        { type: "box", width: 25, height: 25, depth: 25 },
+        { type: "sphere", radius: 10, posX: 50 },
+      ],
+    },
+    { scene }
+  );
+  assert.equal(lights.length, 1);
+  assert.equal(nodes.length, 2);
+  assert.equal(nodes[1].position.x, 50);
+  nodes.forEach(function (node) {
+    assert.equal(node.parent, scene);
+  });
+});
+
+test("loadScene disposes the created nodes when a node fails", async function () {
+  const scene = createScene();
+  await assert.rejects(
+    loadScene(
+      {
+        nodes: [
+          { type: "box", width: 25, height: 25, depth: 25 },
+          { type: "gltf", model: "/models/missing/scene.gltf" },
+        ],
+      },
+      { scene }
+    ),
+    NetworkError
+  );
+  assert.equal(
+    scene.children.filter(function (child) {
+      return !child.isLight;
+    }).length,
+    0
+  );
+  assert.equal(getAssets(scene).stats().entries, 0);
+});
+
+test("serializeScene skips shapes drawn with a callback, or throws in strict mode", function () {
+  const scene = createScene();
+  renderShape({ radius: 10, scene });
+  renderShape({
+    shape: function (shape) {
+      shape.moveTo(0, 0).lineTo(10, 0).lineTo(0, 10);
+    },
+    scene,
+  });
+  const { nodes } = serializeScene(scene);
+  assert.equal(nodes.length, 1);
+  assert.equal(nodes[0].radius, 10);
+  assert.throws(function () {
+    serializeScene(scene, { strict: true });
+  }, OptionsError);
+});
@@ -0,0 +1,190 @@
+/**
+ * Headless test environment of functions.js: a jsdom window exposed as the
+ * browser globals, and file-based loading of the repository assets (fonts,
+ * models, test fixtures) through a loading manager. No GPU or network is used.
+ *
+ * functions.js does not touch the DOM when imported, only when its functions
+ * are called.
+ */
+import { readFile } from "node:fs/promises";
+import { JSDOM } from "jsdom";
+import * as THREE from "three";
+import { createAssetManager, setAssets } from "../functions.js";
+
+/**
+ * Origin the repository files are served from.
+ *
+ * @type {String}
+ */
+export const origin = "http://tinkerspace.test";
+
+/**
+ * Repository root directory URL.
+ *
+ * @type {URL}
+ */
+const root = new URL("../", import.meta.url);
+
+const dom = new JSDOM("<!DOCTYPE html><body></body>", {
+  url: origin + "/",
+  pretendToBeVisual: true,
+});
+
+[
+  "window",
+  "document",
+  "self",
+  "navigator",
+  "screen",
+  "HTMLElement",
+  "HTMLCanvasElement",
+  "HTMLImageElement",
+  "Image",
+  "DOMParser",
+  "XMLSerializer",
+  "ProgressEvent",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+].forEach(function (name) {
+  Object.defineProperty(globalThis, name, {
+    value: dom.window[name],
+    configurable: true,
+    writable: true,
+  });
+});
+
+Object.defineProperty(dom.window.screen, "orientation", {
+  value: new dom.window.EventTarget(),
+});
+
+/**
+ * Color scheme listeners of the matchMedia stub.
+ *
+ * @type {Set<Function>}
+ */
+const schemeListeners = new Set();
+
+/**
+ * True while the system color scheme is dark.
+ *
+ * @type {Boolean}
+ */
+let darkScheme = false;
+
+dom.window.matchMedia = function (query) {
+  return {
+    media: query,
+    get matches() {
+      return darkScheme && query.includes("dark");
+    },
+    addEventListener: function (type, listener) {
+      schemeListeners.add(listener);
+    },
+    removeEventListener: function (type, listener) {
+      schemeListeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Switch the system color scheme seen by window.matchMedia, and notify the
+ * color scheme listeners.
+ *
+ * @param {String} scheme Color scheme: "dark" or "light".
+ */
+export function setColorScheme(scheme) {
+  darkScheme = scheme === "dark";
+  Array.from(schemeListeners).forEach(function (listener) {
+    listener();
+  });
+}
+
+/**
+ * Read a repository file by its URL on the test origin.
+ *
+ * @param {String} url File URL.
+ * @returns {Promise<Buffer>} File content.
+ */
+function readAsset(url) {
+  const { pathname } = new URL(url, origin);
+  return readFile(new URL("." + decodeURIComponent(pathname), root));
+}
+
+// Serve the repository files on the test origin; any other request fails as
+// a network error would.
+globalThis.fetch = async function (input) {
+  const url = new URL(typeof input === "string" ? input : input.url);
+  if (url.origin !== origin) {
+    throw new TypeError("fetch failed");
+  }
+  try {
+    return new Response(await readAsset(url.href), { status: 200 });
+  } catch (error) {
+    return new Response("Not Found", { status: 404, statusText: "Not Found" });
+  }
+};
+
+// jsdom does not load images: fire the load (or error) event once the file
+// is read, leaving the image empty.
+Object.defineProperty(dom.window.HTMLImageElement.prototype, "src", {
+  get: function () {
+    return this.getAttribute("src") || "";
+  },
+  set: function (value) {
+    this.setAttribute("src", value);
+    const image = this;
+    readAsset(value).then(
+      function () {
+        image.dispatchEvent(new dom.window.Event("load"));
+      },
+      function () {
+        image.dispatchEvent(new dom.window.Event("error"));
+      }
+    );
+  },
+});
+
+/**
+ * Create a loading manager fetching root-relative URLs from the test origin.
+ *
+ * @returns {THREE.LoadingManager} Loading manager.
+ */
+export function createFileManager() {
+  return new THREE.LoadingManager().setURLModifier(function (url) {
+    return new URL(url, origin).href;
+  });
+}
+
+/**
+ * Create a scene whose asset manager loads the repository files.
+ *
+ * @returns {THREE.Scene} Scene object.
+ */
+export function createScene() {
+  const scene = new THREE.Scene();
+  setAssets(scene, createAssetManager({ manager: createFileManager() }));
+  return scene;
+}
+
+/**
+ * Wait until a condition holds.
+ *
+ * @param {Function} condition Condition callback.
+ * @param {Number} timeout Timeout in milliseconds.
+ * @returns {Promise} Resolved once the condition holds, rejected on timeout.
+ */
+export function until(condition, timeout = 5000) {
+  const started = Date.now();
+  return new Promise(function (resolve, reject) {
+    const check = function () {
+      if (condition()) {
+        resolve();
+      } else if (Date.now() - started > timeout) {
+        reject(new Error("Timed out after " + timeout + " ms."));
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+    check();
+  });
+}
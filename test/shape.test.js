@@ -0,0 +1,146 @@
+import { createScene } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import {
+  NetworkError,
+  OptionsError,
+  ParseError,
+  renderShape,
+} from "../functions.js";
+
+/**
+ * Return the texture coordinate bounds of a geometry.
+ *
+ * @param {THREE.BufferGeometry} geometry Geometry.
+ * @returns {{min: Number[], max: Number[]}} Lowest and highest u and v.
+ */
+function uvBounds(geometry) {
+  const uv = geometry.attributes.uv;
+  const min = [Infinity, Infinity];
+  const max = [-Infinity, -Infinity];
+  for (let i = 0; i < uv.count; i++) {
+    min[0] = Math.min(min[0], uv.getX(i));
+    min[1] = Math.min(min[1], uv.getY(i));
+    max[0] = Math.max(max[0], uv.getX(i));
+    max[1] = Math.max(max[1], uv.getY(i));
+  }
+  return { min, max };
+}
+
+/**
+ * Draw a triangle.
+ *
+ * @param {THREE.Shape} shape Shape object.
+ */
+function triangle(shape) {
+  shape.moveTo(-20, 0).lineTo(20, 0).lineTo(0, 10).closePath();
+}
+
+test("renderShape renders a regular polygon as a ring geometry", function () {
+  const scene = new THREE.Scene();
+  const mesh = renderShape({
+    radius: 10,
+    segments: 6,
+    innerRadius: 4,
+    thetaLength: 1,
+    posX: 5,
+    scene,
+  });
+  assert.ok(mesh.geometry instanceof THREE.RingGeometry);
+  assert.equal(mesh.geometry.parameters.outerRadius, 10);
+  assert.equal(mesh.geometry.parameters.innerRadius, 4);
+  assert.equal(mesh.geometry.parameters.thetaSegments, 6);
+  assert.equal(mesh.geometry.parameters.thetaLength, Math.PI);
+  assert.equal(mesh.position.x, 5);
+  assert.equal(mesh.parent, scene);
+});
+
+test("renderShape renders a width and height as a plane geometry", function () {
+  const mesh = renderShape({ width: 30, height: 20, widthSegments: 3 });
+  assert.ok(mesh.geometry instanceof THREE.PlaneGeometry);
+  assert.equal(mesh.geometry.parameters.width, 30);
+  assert.equal(mesh.geometry.parameters.height, 20);
+  assert.equal(mesh.geometry.parameters.widthSegments, 3);
+});
+
+test("renderShape prefers the radius over the width and height", function () {
+  const mesh = renderShape({ radius: 10, width: 30, height: 20 });
+  assert.ok(mesh.geometry instanceof THREE.RingGeometry);
+});
+
+test("renderShape draws a custom shape with a callback", function () {
+  const mesh = renderShape({ shape: triangle });
+  assert.ok(mesh.geometry instanceof THREE.ShapeGeometry);
+  mesh.geometry.computeBoundingBox();
+  assert.deepEqual(mesh.geometry.boundingBox.min.toArray(), [-20, 0, 0]);
+  assert.deepEqual(mesh.geometry.boundingBox.max.toArray(), [20, 10, 0]);
+});
+
+test("renderShape fits the custom shape UVs to its bounding box", function () {
+  const mesh = renderShape({ shape: triangle });
+  const position = mesh.geometry.attributes.position;
+  const uv = mesh.geometry.attributes.uv;
+  assert.equal(uv.count, position.count);
+  assert.deepEqual(uvBounds(mesh.geometry), { min: [0, 0], max: [1, 1] });
+  for (let i = 0; i < uv.count; i++) {
+    assert.equal(uv.getX(i), (position.getX(i) + 20) / 40);
+    assert.equal(uv.getY(i), position.getY(i) / 10);
+  }
+});
+
+test("renderShape extrudes shapes with fitted UVs", function () {
+  [{ radius: 10, segments: 5 }, { width: 30, height: 20 }, { shape: triangle }]
+    .map(function (options) {
+      return renderShape({ ...options, extrude: { depth: 4 } });
+    })
+    .forEach(function (mesh) {
+      assert.ok(mesh.geometry instanceof THREE.ExtrudeGeometry);
+      assert.ok(mesh.material instanceof THREE.MeshPhongMaterial);
+      assert.deepEqual(uvBounds(mesh.geometry), { min: [0, 0], max: [1, 1] });
+    });
+});
+
+test("renderShape renders SVG markup as a group of meshes", function () {
+  const group = renderShape({
+    svg: '<svg xmlns="http://www.w3.org/2000/svg"><rect width="20" height="10" fill="#ff0000"/></svg>',
+  });
+  assert.ok(group instanceof THREE.Group);
+  const meshes = [];
+  group.traverse(function (child) {
+    if (child.isMesh) {
+      meshes.push(child);
+    }
+  });
+  assert.equal(meshes.length, 1);
+  assert.equal(meshes[0].material.color.getHex(), 0xff0000);
+});
+
+test("renderShape throws a ParseError for invalid SVG markup", function () {
+  assert.throws(function () {
+    renderShape({
+      svg: '<svg xmlns="http://www.w3.org/2000/svg"><rect width="20" height="10" transform="rotate(x)"/></svg>',
+    });
+  }, ParseError);
+});
+
+test("renderShape dispatches an error event when an SVG file is missing", async function () {
+  const group = renderShape({
+    svg: "/drawings/missing.svg",
+    scene: createScene(),
+  });
+  const event = await new Promise(function (resolve) {
+    group.addEventListener("error", resolve);
+  });
+  assert.ok(event.error instanceof NetworkError);
+  assert.equal(group.children.length, 0);
+});
+
+test("renderShape rejects options without a shape", function () {
+  assert.throws(function () {
+    renderShape({});
+  }, OptionsError);
+  assert.throws(function () {
+    renderShape({ radius: 10, extrude: "yes" });
+  }, OptionsError);
+});
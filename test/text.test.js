@@ -0,0 +1,144 @@
+import { createScene } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as THREE from "three";
+import { OptionsError, renderText } from "../functions.js";
+
+/**
+ * Bundled font of the tests.
+ *
+ * @type {String}
+ */
+const font = "/fonts/arvo_regular.json";
+
+/**
+ * Return the world bounding box of an object.
+ *
+ * @param {THREE.Object3D} object Object.
+ * @returns {THREE.Box3} Bounding box.
+ */
+function bounds(object) {
+  object.updateMatrixWorld(true);
+  return new THREE.Box3().setFromObject(object);
+}
+
+test("renderText centers the text horizontally without posX", async function () {
+  const text = await renderText({
+    text: "Centered",
+    font,
+    size: 10,
+    scene: createScene(),
+  });
+  const box = bounds(text);
+  const center = box.getCenter(new THREE.Vector3());
+  assert.ok(box.max.x - box.min.x > 30);
+  assert.ok(Math.abs(center.x) < 1, "center x " + center.x);
+  assert.equal(text.position.x, 0);
+});
+
+test("renderText centers each line on its own width", async function () {
+  const text = await renderText({
+    text: "A much longer first line\nShort",
+    font,
+    size: 10,
+    scene: createScene(),
+  });
+  assert.equal(text.children.length, 2);
+  text.children.forEach(function (line) {
+    const center = bounds(line).getCenter(new THREE.Vector3());
+    assert.ok(Math.abs(center.x) < 1, "center x " + center.x);
+  });
+  assert.ok(text.children[1].position.y < text.children[0].position.y);
+});
+
+test("renderText centers the text vertically with the middle anchor", async function () {
+  const text = await renderText({
+    text: "Two\nlines",
+    font,
+    size: 10,
+    anchor: "middle",
+    posY: 20,
+    scene: createScene(),
+  });
+  const center = bounds(text).getCenter(new THREE.Vector3());
+  assert.ok(Math.abs(center.y - 20) < 1e-6, "center y " + center.y);
+});
+
+test("renderText aligns the text left on posX", async function () {
+  const text = await renderText({
+    text: "Left",
+    font,
+    size: 10,
+    posX: 50,
+    scene: createScene(),
+  });
+  assert.equal(text.children[0].position.x, 0);
+  assert.ok(Math.abs(bounds(text).min.x - 50) < 2);
+});
+
+test("renderText centers glyph meshes like the run meshes", async function () {
+  const scene = createScene();
+  const runs = await renderText({ text: "Glyphs", font, scene });
+  const glyphs = await renderText({
+    text: "Glyphs",
+    font,
+    glyphs: true,
+    scene,
+  });
+  const meshes = [];
+  glyphs.traverse(function (child) {
+    if (child.isMesh) {
+      meshes.push(child.userData.glyph.char);
+    }
+  });
+  assert.deepEqual(meshes, Array.from("Glyphs"));
+  const runBox = bounds(runs);
+  const glyphBox = bounds(glyphs);
+  assert.ok(Math.abs(runBox.min.x - glyphBox.min.x) < 1e-6);
+  assert.ok(Math.abs(runBox.max.x - glyphBox.max.x) < 1e-6);
+});
+
+test("renderText colors a copy of a given material instance", async function () {
+  const material = new THREE.MeshLambertMaterial({ color: 0xff0000 });
+  const text = await renderText({
+    text: "Shared",
+    font,
+    material,
+    scene: createScene(),
+  });
+  text.setColor(0x00ff00);
+  assert.equal(material.color.getHex(), 0xff0000);
+  text.traverse(function (child) {
+    if (child.isMesh) {
+      assert.notEqual(child.material, material);
+      assert.equal(child.material.color.getHex(), 0x00ff00);
+    }
+  });
+});
+
+test("renderText leaves materials without a color when coloring", async function () {
+  const text = await renderText({
+    text: "Normals",
+    font,
+    material: new THREE.MeshNormalMaterial(),
+    scene: createScene(),
+  });
+  text.setColor(0x00ff00);
+  text.traverse(function (child) {
+    if (child.isMesh) {
+      assert.ok(child.material instanceof THREE.MeshNormalMaterial);
+    }
+  });
+});
+
+test("renderText rejects an unknown alignment", async function () {
+  await assert.rejects(
+    renderText({
+      text: "Text",
+      font,
+      align: "justify",
+      scene: createScene(),
+    }),
+    OptionsError
+  );
+});